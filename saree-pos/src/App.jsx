@@ -1,22 +1,115 @@
-import React, { useState, useEffect, useRef } from 'react';
-import { Package, PlusCircle, ScanLine, ListOrdered, Tag, CheckCircle2, AlertCircle, LayoutDashboard, Download, Camera, X, Upload, Filter, RefreshCcw, Trash2, Search, ChevronDown, ChevronUp, Settings, ArrowRightLeft } from 'lucide-react';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import { Package, PlusCircle, ScanLine, ListOrdered, Tag, CheckCircle2, AlertCircle, LayoutDashboard, Download, Camera, X, Upload, Filter, RefreshCcw, Trash2, Search, ChevronDown, ChevronUp, Settings, ArrowRightLeft, Printer, ArrowLeft, MapPin, Receipt, Lock, History, Users, KeyRound, Image as ImageIcon } from 'lucide-react';
+import QRCode from 'qrcode';
+import JsBarcode from 'jsbarcode';
+import { jsPDF } from 'jspdf';
+import { Html5Qrcode } from 'html5-qrcode';
+import readExcelFile from 'read-excel-file/browser';
+import writeExcelFile from 'write-excel-file/browser';
+import scanBeepURL from './assets/scan-beep.wav';
 
 // --- Configuration ---
-const RESET_PASSWORD = "9999"; // Add your secret numeric PIN here
+const RECEIPT_TITLE = "SareeOffline PoS"; // Business name printed on customer receipts
 
 // --- IndexedDB Helper Functions ---
 const DB_NAME = 'SareeOfflineDB';
-const STORE_NAME = 'KeyValueStore';
+const DB_VERSION = 7;
+const STORE_NAME = 'KeyValueStore'; // Settings and counters
+const PHOTO_STORE = 'photos'; // Image blobs, loaded on demand rather than kept in React state
 
-const initDB = () => {
-  return new Promise((resolve, reject) => {
-    const request = indexedDB.open(DB_NAME, 1);
-    request.onupgradeneeded = (e) => {
-      e.target.result.createObjectStore(STORE_NAME);
+// One object store per record type, keyed by id, with the fields we look records up by
+const RECORD_STORES = {
+  sarees: { indexes: ['code', 'status', 'shopName', 'dateAdded'] },
+  sales: { indexes: ['sareeCode', 'transactionId', 'timestampISO', 'customerId'] },
+  refunds: { indexes: ['saleId', 'sareeCode', 'timestampISO'] },
+  exhibitions: { indexes: ['startDate'] },
+  settlements: { indexes: ['shopName', 'paidAt'] },
+  auditLog: { indexes: ['action', 'timestampISO'] }, // Append-only, survives factory reset
+  customers: { indexes: ['phone'] },
+};
+
+const emptyRecordSets = () => Object.fromEntries(Object.keys(RECORD_STORES).map(storeName => [storeName, []]));
+
+// Version 1 kept each record type as one big array under these keys (and localStorage before that)
+const LEGACY_ARRAY_KEYS = { sarees: 'saree_inventory', sales: 'saree_sales', refunds: 'saree_refunds' };
+
+// Copies the old whole-array data into the record stores inside the upgrade transaction
+const migrateLegacyArrays = (transaction) => {
+  const kvStore = transaction.objectStore(STORE_NAME);
+  const migratedLocalKeys = [];
+
+  Object.entries(LEGACY_ARRAY_KEYS).forEach(([storeName, key]) => {
+    const request = kvStore.get(key);
+    request.onsuccess = () => {
+      let records = request.result;
+      if (!records && localStorage.getItem(key)) {
+        try {
+          records = JSON.parse(localStorage.getItem(key));
+          migratedLocalKeys.push(key);
+        } catch (err) {
+          console.error("Legacy localStorage parse error:", err);
+        }
+      }
+      if (Array.isArray(records)) {
+        const store = transaction.objectStore(storeName);
+        const seenIds = new Set();
+        records.forEach((record, i) => {
+          // Old imports could reuse ids; keep every record rather than overwrite
+          const id = record.id && !seenIds.has(record.id) ? record.id : `${Date.now()}${i}${Math.random().toString().slice(2, 6)}`;
+          seenIds.add(id);
+          store.put({ ...record, id });
+        });
+      }
+      kvStore.delete(key);
     };
-    request.onsuccess = () => resolve(request.result);
-    request.onerror = () => reject(request.error);
   });
+
+  // Only forget the localStorage copy once the new stores are safely written
+  transaction.addEventListener('complete', () => {
+    migratedLocalKeys.forEach(key => localStorage.removeItem(key));
+  });
+};
+
+let dbPromise = null;
+
+const initDB = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = (e) => {
+        const db = e.target.result;
+        const transaction = e.target.transaction;
+
+        if (!db.objectStoreNames.contains(STORE_NAME)) {
+          db.createObjectStore(STORE_NAME);
+        }
+        if (!db.objectStoreNames.contains(PHOTO_STORE)) {
+          db.createObjectStore(PHOTO_STORE, { keyPath: 'id' });
+        }
+        Object.entries(RECORD_STORES).forEach(([storeName, { indexes }]) => {
+          const store = db.objectStoreNames.contains(storeName)
+            ? transaction.objectStore(storeName)
+            : db.createObjectStore(storeName, { keyPath: 'id' });
+          indexes.forEach(field => {
+            if (!store.indexNames.contains(field)) store.createIndex(field, field);
+          });
+        });
+
+        if (e.oldVersion < 2) migrateLegacyArrays(transaction);
+      };
+      request.onsuccess = () => {
+        const db = request.result;
+        // Let a newer version of the app (e.g. in another tab) upgrade the database
+        db.onversionchange = () => db.close();
+        resolve(db);
+      };
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
 };
 
 const setDBItem = async (key, value) => {
@@ -41,629 +134,3858 @@ const getDBItem = async (key) => {
   });
 };
 
-export default function App() {
-  const [activeTab, setActiveTab] = useState('dashboard');
-  const [sarees, setSarees] = useState([]);
-  const [sales, setSales] = useState([]);
-  const [notification, setNotification] = useState(null);
-  const [isDBLoaded, setIsDBLoaded] = useState(false);
-  
-  // New POS States
-  const [cart, setCart] = useState([]);
-  const [scanMode, setScanMode] = useState('SELL'); // 'SELL' or 'RETURN'
-  const [showPaymentModal, setShowPaymentModal] = useState(false);
-  const [paymentMethod, setPaymentMethod] = useState('UPI'); 
-  const [showResetModal, setShowResetModal] = useState(false); // Reset confirmation state
-  const [extraDiscount, setExtraDiscount] = useState(0); 
-  const [itemToDelete, setItemToDelete] = useState(null); // State for deleting item modal
-  const [showAdvancedTools, setShowAdvancedTools] = useState(false); // Dashboard tools toggle
-  
-  // Sales Log State
-  const [salesTimeFilter, setSalesTimeFilter] = useState('today'); // 'today', '7day', 'all'
-  const [salesSearchQuery, setSalesSearchQuery] = useState('');
-  const [expandedGroups, setExpandedGroups] = useState({});
-  
-  // Inventory State
-  const [inventoryFilter, setInventoryFilter] = useState('all'); // 'all', 'available', 'sold'
-  const [shopFilter, setShopFilter] = useState('all'); // Filter by shop name
+const getAllRecords = async (storeName) => {
+  const db = await initDB();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, 'readonly');
+    const request = transaction.objectStore(storeName).getAll();
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+};
 
-  // Sales Log State
-  const [salesFilter, setSalesFilter] = useState('all'); // 'all', 'today', '7days'
-  const [salesSearch, setSalesSearch] = useState('');
-  const [expandedTx, setExpandedTx] = useState({}); // Keep track of expanded transactions
+// Records are replaced (never mutated) on change, so identity tells us what needs writing
+const diffRecords = (prev, next) => {
+  const prevById = new Map(prev.map(r => [r.id, r]));
+  const nextIds = new Set(next.map(r => r.id));
+  return {
+    puts: next.filter(r => prevById.get(r.id) !== r),
+    deletes: prev.filter(r => !nextIds.has(r.id)).map(r => r.id)
+  };
+};
 
-  // Hidden Reset States
-  const [resetPassword, setResetPassword] = useState('');
-  const [passwordError, setPasswordError] = useState('');
-  const [devClickCount, setDevClickCount] = useState(0);
+// Writes { storeName: { puts, deletes } } in a single transaction: all of it lands or none of it
+const applyRecordChanges = async (changesByStore) => {
+  const storeNames = Object.keys(changesByStore).filter(name => changesByStore[name].puts.length || changesByStore[name].deletes.length);
+  if (storeNames.length === 0) return;
 
-  // Hoisted Camera States
-  const [isCameraActive, setIsCameraActive] = useState(false);
-  const scannerRef = useRef(null);
-  const clickTimeoutRef = useRef(null);
+  const db = await initDB();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeNames, 'readwrite');
+    storeNames.forEach(name => {
+      const store = transaction.objectStore(name);
+      changesByStore[name].deletes.forEach(id => store.delete(id));
+      changesByStore[name].puts.forEach(record => store.put(record));
+    });
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
 
-  // Load data from local offline storage on startup
-  useEffect(() => {
-    const loadData = async () => {
-      try {
-        let savedSarees = await getDBItem('saree_inventory');
-        let savedSales = await getDBItem('saree_sales');
+const clearRecordStores = async (storeNames) => {
+  const db = await initDB();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeNames, 'readwrite');
+    storeNames.forEach(name => transaction.objectStore(name).clear());
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+  });
+};
 
-        if (!savedSarees && localStorage.getItem('saree_inventory')) {
-          savedSarees = JSON.parse(localStorage.getItem('saree_inventory'));
-          await setDBItem('saree_inventory', savedSarees);
-        }
-        if (!savedSales && localStorage.getItem('saree_sales')) {
-          savedSales = JSON.parse(localStorage.getItem('saree_sales'));
-          await setDBItem('saree_sales', savedSales);
-        }
+// --- Photo Helpers ---
+const PHOTO_MAX_SIZE = 1024; // Longest edge in px for the stored photo
+const THUMB_MAX_SIZE = 160;
 
-        if (savedSarees) setSarees(savedSarees);
-        if (savedSales) setSales(savedSales);
-      } catch (error) {
-        console.error("Database load error:", error);
-      } finally {
-        setIsDBLoaded(true);
-      }
-    };
+// Downscales an image file to a JPEG blob no larger than maxSize on its longest edge
+const compressImage = async (file, maxSize, quality = 0.75) => {
+  const bitmap = await createImageBitmap(file);
+  const scale = Math.min(1, maxSize / Math.max(bitmap.width, bitmap.height));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(bitmap.width * scale);
+  canvas.height = Math.round(bitmap.height * scale);
+  canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  bitmap.close();
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Image compression failed')), 'image/jpeg', quality);
+  });
+};
 
-    loadData();
-    
-    // Dynamically load the QR Scanner library
-    if (!document.getElementById('html5-qrcode-script')) {
-      const script = document.createElement('script');
-      script.id = 'html5-qrcode-script';
-      script.src = 'https://unpkg.com/html5-qrcode';
-      script.async = true;
-      document.body.appendChild(script);
-    }
-  }, []);
+const runPhotoRequest = async (mode, makeRequest) => {
+  const db = await initDB();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(PHOTO_STORE, mode);
+    const request = makeRequest(transaction.objectStore(PHOTO_STORE));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
 
-  // Save data to IndexedDB whenever it changes
-  useEffect(() => {
-    if (isDBLoaded) {
-      setDBItem('saree_inventory', sarees);
-      setDBItem('saree_sales', sales);
-    }
-  }, [sarees, sales, isDBLoaded]);
+const putPhoto = (photo) => runPhotoRequest('readwrite', store => store.put(photo));
+const getPhoto = (id) => runPhotoRequest('readonly', store => store.get(id));
+const getAllPhotos = () => runPhotoRequest('readonly', store => store.getAll());
+const deletePhoto = (id) => runPhotoRequest('readwrite', store => store.delete(id));
+const clearPhotos = () => runPhotoRequest('readwrite', store => store.clear());
 
-  // Handle Tab Switch safely to prevent Camera Crashes
-  const handleTabChange = async (newTab) => {
-    if (activeTab === 'scan' && isCameraActive && scannerRef.current) {
-      try {
-        await scannerRef.current.stop();
-        scannerRef.current.clear();
-      } catch (err) {
-        console.error("Scanner stop error:", err);
-      }
-      setIsCameraActive(false);
-    }
-    setActiveTab(newTab);
-  };
+const blobToDataURL = (blob) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsDataURL(blob);
+});
 
-  const showNotification = (message, type = 'success') => {
-    setNotification({ message, type });
-    setTimeout(() => setNotification(null), 3500);
-  };
+const dataURLToBlob = async (dataURL) => (await fetch(dataURL)).blob();
 
-  // --- BUSINESS LOGIC ---
+// Object URLs for thumbnails already read from the database, shared by every list that shows them
+const thumbURLCache = new Map();
 
-  // Hidden trigger logic for 5 quick taps
-  const handleHiddenResetTrigger = () => {
-    if (clickTimeoutRef.current) clearTimeout(clickTimeoutRef.current);
-    setDevClickCount(prev => {
-      if (prev + 1 >= 5) {
-        setShowResetModal(true);
-        setResetPassword('');
-        setPasswordError('');
-        return 0;
-      }
-      return prev + 1;
-    });
-    // Reset the click count if they stop tapping for 1 second
-    clickTimeoutRef.current = setTimeout(() => setDevClickCount(0), 1000);
-  };
+const forgetPhotoURL = (id) => {
+  if (thumbURLCache.has(id)) URL.revokeObjectURL(thumbURLCache.get(id));
+  thumbURLCache.delete(id);
+};
 
-  const performFactoryReset = async () => {
-    // Clear state
-    setSarees([]);
-    setSales([]);
-    setCart([]);
-    setExtraDiscount(0);
-    setSalesSearchQuery('');
-    setExpandedGroups({});
-    setShowAdvancedTools(false);
-    // Clear databases
-    await setDBItem('saree_inventory', []);
-    await setDBItem('saree_sales', []);
-    localStorage.removeItem('saree_inventory');
-    localStorage.removeItem('saree_sales');
-    
-    setShowResetModal(false);
-    showNotification('All inventory and sales data cleared successfully.', 'success');
-  };
+// The app keeps lists newest first; getAll() returns them in id order
+const sortNewestFirst = (records, getTime) => [...records].sort((a, b) => getTime(b) - getTime(a));
 
-  // --- DEVICE SYNC LOGIC ---
+// --- Scanner Feedback ---
+const SCAN_REPEAT_DELAY_MS = 2500; // A code must leave the camera this long before it counts as a new scan
 
-  const handleExportBackup = () => {
-    if (sarees.length === 0 && sales.length === 0) {
-      showNotification('No data to backup!', 'error');
-      return;
-    }
-    const backupData = {
-      sarees: sarees,
-      sales: sales,
-      exportDate: new Date().toISOString()
-    };
-    
-    const dataStr = "data:text/json;charset=utf-8," + encodeURIComponent(JSON.stringify(backupData));
-    const downloadAnchorNode = document.createElement('a');
-    downloadAnchorNode.setAttribute("href", dataStr);
-    downloadAnchorNode.setAttribute("download", `SareeApp_FullBackup_${new Date().toLocaleDateString().replace(/\//g, '-')}.json`);
-    document.body.appendChild(downloadAnchorNode);
-    downloadAnchorNode.click();
-    downloadAnchorNode.remove();
-    showNotification('Full database backup exported successfully!');
-  };
+// Barcode guns "type" the code far faster than a person can, then press Enter
+const WEDGE_MAX_KEY_GAP_MS = 40;
+const WEDGE_MIN_LENGTH = 4;
 
-  const handleRestoreBackup = (e) => {
-    const file = e.target.files[0];
-    if (!file) return;
+let scanBeep = null;
 
-    const reader = new FileReader();
-    reader.onload = (event) => {
-      try {
-        const backupData = JSON.parse(event.target.result);
-        
-        // Validate it's our backup file
-        if (backupData && Array.isArray(backupData.sarees) && Array.isArray(backupData.sales)) {
-          setSarees(backupData.sarees);
-          setSales(backupData.sales);
-          showNotification('Database fully restored from backup!', 'success');
-        } else {
-          showNotification('Invalid backup file format.', 'error');
-        }
-      } catch (err) {
-        showNotification('Failed to read the backup file.', 'error');
-      }
-    };
-    reader.readAsText(file);
-    e.target.value = ''; // reset input
-  };
+// Short beep and buzz for a good scan; a low beep and a double buzz when the code was rejected
+const playScanFeedback = (ok) => {
+  navigator.vibrate?.(ok ? 60 : [120, 80, 120]);
+  scanBeep = scanBeep || new Audio(scanBeepURL);
+  scanBeep.currentTime = 0;
+  scanBeep.playbackRate = ok ? 1 : 0.5;
+  scanBeep.play().catch(() => {}); // Autoplay can be blocked until the page has been tapped
+};
 
-  const handleAddSaree = (e) => {
-    e.preventDefault();
-    const formData = new FormData(e.target);
-    
-    const shopName = formData.get('shopName') || 'Unknown Shop';
-    const shopCode = (formData.get('shopCode') || 'N/A').toUpperCase();
-    const cp = parseFloat(formData.get('cp')) || 0;
-    const mrp = parseFloat(formData.get('mrp')) || 0;
-    const asp60 = parseFloat(formData.get('asp60')) || 0;
-    const quantity = parseInt(formData.get('quantity')) || 1;
-    const serialNo = formData.get('serialNo') || '01';
-    
-    // Reverse the ASP60 for the camouflage code
-    const reversedAsp = asp60.toString().split('').reverse().join('');
-    
-    const newSarees = [];
-    let duplicateCount = 0;
+// --- Access Control Helpers ---
+const ROLE_LABELS = { owner: 'Owner', cashier: 'Cashier' };
+const PIN_MIN_LENGTH = 4;
 
-    // Loop to generate multiple sarees based on the quantity
-    for (let i = 0; i < quantity; i++) {
-      const char = String.fromCharCode(97 + i); // 97 is 'a', 98 is 'b', etc.
-      const code = `${shopCode}SZ${reversedAsp}X${serialNo}${char}`;
-      
-      // Prevent exact duplicate codes
-      if (sarees.some(s => s.code === code) || newSarees.some(s => s.code === code)) {
-        duplicateCount++;
-        continue;
-      }
+const toHex = (buffer) => Array.from(new Uint8Array(buffer)).map(b => b.toString(16).padStart(2, '0')).join('');
 
-      newSarees.push({
-        id: Date.now().toString() + Math.random().toString().slice(2, 8),
-        code: code,
-        shopName: shopName,
-        shopCode: shopCode,
-        type: 'Cotton', // Default fallback
-        cp: cp,
-        mrp: mrp,
-        asp60: asp60,
-        status: 'new',
-        dateAdded: new Date().toISOString()
-      });
-    }
+// PINs themselves are never stored, only a salted SHA-256 digest of them
+const hashPin = async (pin, salt) => toHex(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(`${salt}:${pin}`)));
 
-    if (newSarees.length > 0) {
-      setSarees(prev => [...newSarees, ...prev]);
-      showNotification(`Added ${newSarees.length} items successfully! ${duplicateCount > 0 ? `(${duplicateCount} duplicates skipped)` : ''}`);
-      e.target.reset();
-    } else {
-      showNotification(`Failed to add. All ${duplicateCount} items were duplicates!`, 'error');
-    }
-  };
+const createPinRecord = async (pin) => {
+  const salt = toHex(crypto.getRandomValues(new Uint8Array(16)));
+  return { salt, hash: await hashPin(pin, salt) };
+};
 
-  const handleScanInput = (codeToScan) => {
-    if (!codeToScan) return;
-    codeToScan = codeToScan.trim().toUpperCase();
+const verifyPin = async (pin, record) => !!record && (await hashPin(pin, record.salt)) === record.hash;
 
-    if (scanMode === 'SELL') {
-      addToCart(codeToScan);
-    } else {
-      processReturn(codeToScan);
-    }
-  };
+// --- Price Code Helpers ---
+// Codes look like [ShopCode]SZ[ASP60 camouflaged]X[Serial][a-z]; only the middle part depends on the scheme
+const PRICE_CODE_SCHEMES = { reverse: 'Reversed digits', cipher: 'Secret word' };
+const DEFAULT_PRICE_CIPHER = { scheme: 'reverse', key: '' };
+const CIPHER_DIGITS = '1234567890'; // The secret word's letters stand for these, in order
 
-  const addToCart = (codeToScan) => {
-    const saree = sarees.find(s => s.code === codeToScan);
-    
-    if (!saree) {
-      showNotification(`Code ${codeToScan} not found in inventory!`, 'error');
-      return false;
-    }
-    if (saree.status === 'sold') {
-      showNotification(`Alert: ${codeToScan} is already SOLD!`, 'error');
-      return false;
-    }
-    if (cart.some(item => item.saree.code === codeToScan)) {
-      showNotification(`${codeToScan} is already in the cart!`, 'error');
-      return false;
-    }
+// Ten different letters, e.g. "BLACKHORSE" gives B=1, L=2 ... E=0
+const validateCipherKey = (key) => {
+  if (!/^[A-Z]{10}$/.test(key)) return 'The secret word must be exactly 10 letters.';
+  if (new Set(key).size !== 10) return 'Each letter can be used only once.';
+  return null;
+};
 
-    // Add to cart with default selection as MRP
-    setCart([...cart, { 
-      saree, 
-      selection: 'MRP', 
-      customPrice: saree.mrp || '' 
-    }]);
-    
-    showNotification(`Added ${codeToScan} to Cart.`, 'success');
-    return true;
-  };
+const encodePrice = (price, cipher) => {
+  const digits = String(Math.round(price));
+  if (cipher.scheme !== 'cipher') return digits.split('').reverse().join('');
+  return digits.split('').map(d => cipher.key[CIPHER_DIGITS.indexOf(d)]).join('');
+};
 
-  const processReturn = (codeToScan) => {
-    const sareeIndex = sarees.findIndex(s => s.code === codeToScan);
-    
-    if (sareeIndex === -1) {
-      showNotification(`Code ${codeToScan} not found in inventory!`, 'error');
-      return false;
-    }
-    if (sarees[sareeIndex].status === 'available') {
-      showNotification(`${codeToScan} is already marked as available.`, 'error');
-      return false;
-    }
+// Digits are always the old reversed scheme, so tags printed before a secret word was set still read
+const decodePrice = (encoded, cipher) => {
+  if (/^\d+$/.test(encoded)) return parseInt(encoded.split('').reverse().join(''), 10);
+  const positions = encoded.toUpperCase().split('').map(ch => (cipher.key || '').indexOf(ch));
+  if (!cipher.key || positions.some(i => i < 0)) return null;
+  return parseInt(positions.map(i => CIPHER_DIGITS[i]).join(''), 10);
+};
 
-    // Mark as available
-    const updatedSarees = [...sarees];
-    updatedSarees[sareeIndex] = { ...updatedSarees[sareeIndex], status: 'available' };
-    setSarees(updatedSarees);
+const buildSareeCode = (shopCode, asp60, serialNo, suffix, cipher) => `${shopCode}SZ${encodePrice(asp60, cipher)}X${serialNo}${suffix}`;
 
-    // Remove from sales log (or mark as returned)
-    const updatedSales = sales.filter(sale => sale.sareeCode !== codeToScan);
-    setSales(updatedSales);
+// Splits a tag back into its parts; asp60 is null when it can't be read with the current secret word
+const parseSareeCode = (code, cipher) => {
+  const match = String(code || '').trim().match(/^(.+?)SZ([A-Z0-9]+?)X(\d+)([A-Z]*)$/i);
+  if (!match) return null;
+  const [, shopCode, encoded, serialNo, suffix] = match;
+  return { shopCode: shopCode.toUpperCase(), encoded: encoded.toUpperCase(), asp60: decodePrice(encoded, cipher), serialNo, suffix: suffix.toLowerCase() };
+};
 
-    showNotification(`Return Successful! ${codeToScan} is back in inventory.`, 'success');
-    return true;
-  };
+// Scanners and the import may change letter case, so codes are compared upper-cased
+const toCodeKey = (code) => String(code || '').trim().toUpperCase();
 
-  const updateCartItemPrice = (index, selection, customVal = '') => {
-    const newCart = [...cart];
-    newCart[index].selection = selection;
-    if (selection === 'CUSTOM') {
-      newCart[index].customPrice = customVal;
-    }
-    setCart(newCart);
-  };
+// Piece letters run a..z, then aa, ab ... az, ba ... (letters only, so every barcode type can carry them)
+const getPieceSuffix = (index) => {
+  let suffix = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    suffix = String.fromCharCode(97 + ((n - 1) % 26)) + suffix;
+  }
+  return suffix;
+};
 
-  const removeCartItem = (index) => {
-    const newCart = [...cart];
-    newCart.splice(index, 1);
-    setCart(newCart);
-  };
+// One past the highest serial this shop code has used, in stock (generated or imported) or on record
+const getNextSerial = (sareeList, shopCode, lastUsedSerial = 0) => {
+  const key = toCodeKey(shopCode);
+  const highest = sareeList.reduce((max, s) => {
+    const parsed = parseSareeCode(s.code, DEFAULT_PRICE_CIPHER);
+    return parsed && parsed.shopCode === key ? Math.max(max, parseInt(parsed.serialNo, 10)) : max;
+  }, lastUsedSerial);
+  return String(highest + 1).padStart(2, '0');
+};
 
-  const getCartSubtotal = () => {
-    return cart.reduce((total, item) => {
-      if (item.selection === 'MRP') return total + (item.saree.mrp || 0);
-      if (item.selection === 'ASP60') return total + (item.saree.asp60 || 0);
-      return total + (parseFloat(item.customPrice) || 0);
-    }, 0);
-  };
+// --- Label Printing Helpers ---
+const A4_WIDTH_MM = 210;
+const A4_HEIGHT_MM = 297;
 
-  const getCartFinalTotal = () => {
-    return Math.max(0, getCartSubtotal() - (parseFloat(extraDiscount) || 0));
+const DEFAULT_LABEL_TEMPLATES = [
+  { id: 'a4-3x8', name: 'A4 Sheet 3 x 8', layout: 'sheet', widthMm: 70, heightMm: 37, columns: 3, rows: 8, symbology: 'qr', showMRP: true, showShop: true, showCode: true },
+  { id: 'a4-4x10', name: 'A4 Sheet 4 x 10', layout: 'sheet', widthMm: 52, heightMm: 29, columns: 4, rows: 10, symbology: 'code128', showMRP: true, showShop: false, showCode: true },
+  { id: 'roll-50x25', name: 'Roll 50 x 25 mm', layout: 'roll', widthMm: 50, heightMm: 25, columns: 1, rows: 1, symbology: 'code128', showMRP: true, showShop: true, showCode: true },
+];
+
+const escapeHTML = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Returns an inline SVG string for the product code (QR or Code128)
+const renderLabelSymbol = async (code, symbology) => {
+  if (symbology === 'code128') {
+    const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+    JsBarcode(svg, code, { format: 'CODE128', displayValue: false, margin: 0, width: 2, height: 60 });
+    // JsBarcode already sets a viewBox, so drop the fixed size and let the label stretch it
+    svg.setAttribute('preserveAspectRatio', 'none');
+    svg.removeAttribute('width');
+    svg.removeAttribute('height');
+    return svg.outerHTML;
+  }
+  return QRCode.toString(code, { type: 'svg', margin: 0, errorCorrectionLevel: 'M' });
+};
+
+// Builds a complete printable HTML document for a set of labels
+const buildLabelSheetHTML = async (items, template) => {
+  const symbols = await Promise.all(items.map(s => renderLabelSymbol(s.code, template.symbology)));
+  const isRoll = template.layout === 'roll';
+  const perPage = isRoll ? 1 : Math.max(1, template.columns * template.rows);
+  const marginX = isRoll ? 0 : Math.max(0, (A4_WIDTH_MM - template.columns * template.widthMm) / 2);
+  const marginY = isRoll ? 0 : Math.max(0, (A4_HEIGHT_MM - template.rows * template.heightMm) / 2);
+  const isQR = template.symbology === 'qr';
+
+  const labelsHTML = items.map((s, i) => `
+    <div class="label ${isQR ? 'label-qr' : 'label-bar'}">
+      <div class="symbol">${symbols[i]}</div>
+      <div class="text">
+        ${template.showShop ? `<div class="shop">${escapeHTML(s.shopName)}</div>` : ''}
+        ${template.showCode ? `<div class="code">${escapeHTML(s.code)}</div>` : ''}
+        ${template.showMRP ? `<div class="mrp">MRP ₹${escapeHTML(s.mrp)}</div>` : ''}
+      </div>
+    </div>`);
+
+  const pages = [];
+  for (let i = 0; i < labelsHTML.length; i += perPage) {
+    pages.push(`<div class="page">${labelsHTML.slice(i, i + perPage).join('')}</div>`);
+  }
+
+  return `<!doctype html>
+<html>
+<head>
+<meta charset="utf-8" />
+<title>Saree Labels</title>
+<style>
+  @page { size: ${isRoll ? `${template.widthMm}mm ${template.heightMm}mm` : 'A4'}; margin: ${marginY}mm ${marginX}mm; }
+  * { box-sizing: border-box; }
+  body { margin: 0; font-family: Arial, Helvetica, sans-serif; color: #000; }
+  .page { display: grid; grid-template-columns: repeat(${isRoll ? 1 : template.columns}, ${template.widthMm}mm); grid-auto-rows: ${template.heightMm}mm; page-break-after: always; }
+  .page:last-child { page-break-after: auto; }
+  .label { width: ${template.widthMm}mm; height: ${template.heightMm}mm; padding: 1.5mm; overflow: hidden; display: flex; gap: 1.5mm; }
+  .label-qr { flex-direction: row; align-items: center; }
+  .label-qr .symbol { height: 100%; aspect-ratio: 1 / 1; flex-shrink: 0; }
+  .label-bar { flex-direction: column; justify-content: center; }
+  .label-bar .symbol { height: 45%; width: 100%; }
+  .symbol svg { width: 100%; height: 100%; display: block; }
+  .text { min-width: 0; line-height: 1.15; }
+  .label-bar .text { text-align: center; }
+  .shop { font-size: 7pt; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+  .code { font-family: 'Courier New', monospace; font-weight: bold; font-size: 8pt; word-break: break-all; }
+  .mrp { font-weight: bold; font-size: 10pt; }
+</style>
+</head>
+<body>${pages.join('')}</body>
+</html>`;
+};
+
+// Prints an HTML document through a hidden iframe so the app itself stays on screen
+const printHTML = (html) => {
+  const frame = document.createElement('iframe');
+  frame.style.position = 'fixed';
+  frame.style.width = '0';
+  frame.style.height = '0';
+  frame.style.border = '0';
+  document.body.appendChild(frame);
+
+  const doc = frame.contentWindow.document;
+  doc.open();
+  doc.write(html);
+  doc.close();
+
+  setTimeout(() => {
+    frame.contentWindow.focus();
+    frame.contentWindow.print();
+    // Give the print dialog time to read the document before removing it
+    setTimeout(() => frame.remove(), 60000);
+  }, 300);
+};
+
+// --- Sales & Receipt Helpers ---
+const PAYMENT_METHODS = ['Cash', 'UPI', 'Card'];
+const PAYMENT_METHOD_COLORS = { Cash: 'bg-green-600', UPI: 'bg-blue-600', Card: 'bg-purple-600', Split: 'bg-gray-700' };
+const REFUND_REASONS = ['Customer changed mind', 'Damaged / defect', 'Wrong item billed', 'Exchange', 'Other'];
+
+// Older sales were grouped by timestamp before transactions had their own id
+const getTransactionId = (sale) => sale.transactionId || sale.timestampISO || sale.saleDate;
+
+const formatReceiptNo = (counter) => `R${String(counter).padStart(5, '0')}`;
+
+// Amount paid per tender for one sale row; legacy rows were paid entirely by one method
+const getSalePayments = (sale) => sale.payments || { [sale.paymentMethod || 'Cash']: sale.salePrice || 0 };
+
+const getRecordTime = (record) => record.timestampISO ? new Date(record.timestampISO).getTime() : new Date(record.saleDate || record.refundDate).getTime();
+
+// Profit given back by a refund: the refunded amount minus the cost that returns to stock.
+// Older refunds with no sale behind them never added profit, so they take none away either
+const getRefundProfitReversal = (refund) => refund.saleId ? (refund.refundAmount || 0) - (refund.cp || 0) : 0;
+
+const sumPayments = (rows) => rows.reduce((totals, sale) => {
+  Object.entries(getSalePayments(sale)).forEach(([method, amount]) => {
+    totals[method] = (totals[method] || 0) + amount;
+  });
+  return totals;
+}, {});
+
+// Pours the tenders into the item amounts in order so every row's payments add up to its price
+const splitTendersAcrossItems = (tenders, itemAmounts) => {
+  const remaining = tenders.map(t => t.amount);
+  let t = 0;
+  return itemAmounts.map(itemAmount => {
+    const payments = {};
+    let due = itemAmount;
+    while (due > 0 && t < tenders.length) {
+      const portion = Math.min(due, remaining[t]);
+      if (portion > 0) payments[tenders[t].method] = (payments[tenders[t].method] || 0) + portion;
+      due -= portion;
+      remaining[t] -= portion;
+      if (remaining[t] <= 0) t++;
+    }
+    return payments;
+  });
+};
+
+// Splits a whole-rupee amount across weights so the parts always add back up to the total
+const allocateProportionally = (total, weights) => {
+  const weightSum = weights.reduce((sum, w) => sum + w, 0);
+  if (weightSum <= 0) return weights.map(() => 0);
+
+  const exact = weights.map(w => (w / weightSum) * total);
+  const parts = exact.map(Math.floor);
+  let remainder = Math.round(total - parts.reduce((sum, p) => sum + p, 0));
+
+  // Hand out the leftover rupees to the largest fractional parts first
+  const order = exact.map((value, i) => ({ i, frac: value - parts[i] })).sort((a, b) => b.frac - a.frac);
+  for (let k = 0; remainder > 0 && k < order.length; k++, remainder--) {
+    parts[order[k].i] += 1;
+  }
+  return parts;
+};
+
+// Lowest price an item may go for without the owner's say-so: cost plus the minimum margin on cost
+const getPriceFloor = (saree, minMarginPercent) => Math.ceil((saree.cp || 0) * (1 + minMarginPercent / 100));
+
+// Rebuilds a receipt from the sale rows of one transaction (works for legacy rows too)
+const buildTransactionFromSales = (rows) => {
+  const first = rows[0];
+  const items = rows.map(sale => ({
+    sareeCode: sale.sareeCode,
+    priceTier: sale.priceTier || '-',
+    listPrice: sale.listPrice ?? sale.salePrice ?? 0,
+    offerDiscount: sale.offerDiscount || 0,
+    discountShare: sale.discountShare || 0,
+    salePrice: sale.salePrice || 0
+  }));
+  // Total per offer across the items, in the order they were applied
+  const offers = {};
+  rows.forEach(sale => (sale.discountRules || []).forEach(rule => {
+    offers[rule.name] = (offers[rule.name] || 0) + rule.amount;
+  }));
+  return {
+    id: getTransactionId(first),
+    receiptNo: first.receiptNo || '-',
+    time: first.saleDate,
+    paymentMethod: first.paymentMethod || 'Cash',
+    payments: sumPayments(rows),
+    items,
+    subtotal: items.reduce((sum, i) => sum + i.listPrice, 0),
+    offers,
+    discount: items.reduce((sum, i) => sum + i.discountShare, 0),
+    total: items.reduce((sum, i) => sum + i.salePrice, 0)
   };
+};
 
-  const completeSaleTransaction = () => {
-    if (cart.length === 0) return;
+const buildReceiptHTML = (tx) => `<!doctype html>
+<html>
+<head>
+<meta charset="utf-8" />
+<title>Receipt ${escapeHTML(tx.receiptNo)}</title>
+<style>
+  @page { margin: 6mm; }
+  body { margin: 0 auto; max-width: 80mm; font-family: Arial, Helvetica, sans-serif; font-size: 10pt; color: #000; }
+  h1 { font-size: 14pt; text-align: center; margin: 0 0 2mm; }
+  .meta { text-align: center; font-size: 9pt; margin-bottom: 3mm; }
+  table { width: 100%; border-collapse: collapse; }
+  th, td { padding: 1mm 0; vertical-align: top; }
+  th { text-align: left; border-bottom: 1px dashed #000; font-size: 9pt; }
+  .num { text-align: right; white-space: nowrap; }
+  .code { font-family: 'Courier New', monospace; font-weight: bold; }
+  .sub { font-size: 8pt; color: #333; }
+  .totals td { border-top: 1px dashed #000; }
+  .grand td { font-size: 12pt; font-weight: bold; }
+  .footer { text-align: center; margin-top: 4mm; font-size: 9pt; }
+</style>
+</head>
+<body>
+  <h1>${escapeHTML(RECEIPT_TITLE)}</h1>
+  <div class="meta">
+    Receipt No: <b>${escapeHTML(tx.receiptNo)}</b><br/>
+    ${escapeHTML(tx.time)}
+  </div>
+  <table>
+    <tr><th>Item</th><th class="num">Amount</th></tr>
+    ${tx.items.map(item => `
+    <tr>
+      <td>
+        <span class="code">${escapeHTML(item.sareeCode)}</span><br/>
+        <span class="sub">${escapeHTML(item.priceTier)} ₹${item.listPrice.toLocaleString()}${item.offerDiscount ? ` - offer ₹${item.offerDiscount.toLocaleString()}` : ''}${item.discountShare ? ` - disc ₹${item.discountShare.toLocaleString()}` : ''}</span>
+      </td>
+      <td class="num">₹${item.salePrice.toLocaleString()}</td>
+    </tr>`).join('')}
+    <tr class="totals"><td>Subtotal</td><td class="num">₹${tx.subtotal.toLocaleString()}</td></tr>
+    ${Object.entries(tx.offers).map(([name, amount]) => `
+    <tr><td>${escapeHTML(name)}</td><td class="num">-₹${amount.toLocaleString()}</td></tr>`).join('')}
+    ${tx.discount ? `<tr><td>Extra Discount</td><td class="num">-₹${tx.discount.toLocaleString()}</td></tr>` : ''}
+    <tr class="grand"><td>Total</td><td class="num">₹${tx.total.toLocaleString()}</td></tr>
+    ${Object.entries(tx.payments).map(([method, amount]) => `
+    <tr><td>Paid by ${escapeHTML(method)}</td><td class="num">₹${amount.toLocaleString()}</td></tr>`).join('')}
+  </table>
+  <div class="footer">${tx.items.length} item(s) &middot; Thank you for shopping with us!</div>
+</body>
+</html>`;
 
-    const updatedSarees = [...sarees];
-    const newSales = [];
-    const timestamp = new Date().toLocaleString();
-    const timestampISO = new Date().toISOString();
+// The built-in PDF fonts have no rupee glyph, so amounts are written as "Rs."
+const buildReceiptPDF = (tx) => {
+  const width = 80;
+  const lineHeight = 5;
+  const height = 60 + tx.items.length * lineHeight * 2 + (Object.keys(tx.offers).length + (tx.discount ? 1 : 0) + Object.keys(tx.payments).length) * lineHeight;
+  const doc = new jsPDF({ unit: 'mm', format: [width, height] });
+  const rs = (amount) => `Rs. ${amount.toLocaleString('en-IN')}`;
+  let y = 10;
 
-    const subtotal = getCartSubtotal();
-    const safeDiscount = parseFloat(extraDiscount) || 0;
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(13);
+  doc.text(RECEIPT_TITLE, width / 2, y, { align: 'center' });
+  y += 6;
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(9);
+  doc.text(`Receipt No: ${tx.receiptNo}`, width / 2, y, { align: 'center' });
+  y += 4;
+  doc.text(String(tx.time), width / 2, y, { align: 'center' });
+  y += 4;
+  doc.line(5, y, width - 5, y);
+  y += lineHeight;
 
-    cart.forEach(cartItem => {
-      const sIdx = updatedSarees.findIndex(s => s.code === cartItem.saree.code);
-      if (sIdx > -1) {
-        updatedSarees[sIdx] = { ...updatedSarees[sIdx], status: 'sold' };
-      }
+  tx.items.forEach(item => {
+    doc.setFont('courier', 'bold');
+    doc.text(item.sareeCode, 5, y);
+    doc.setFont('helvetica', 'normal');
+    doc.text(rs(item.salePrice), width - 5, y, { align: 'right' });
+    y += lineHeight - 1;
+    doc.setFontSize(8);
+    doc.text(`${item.priceTier} ${rs(item.listPrice)}${item.offerDiscount ? ` - offer ${rs(item.offerDiscount)}` : ''}${item.discountShare ? ` - disc ${rs(item.discountShare)}` : ''}`, 5, y);
+    doc.setFontSize(9);
+    y += lineHeight + 1;
+  });
 
-      let rawFinalPrice = cartItem.selection === 'MRP' ? cartItem.saree.mrp : 
-                       cartItem.selection === 'ASP60' ? cartItem.saree.asp60 : 
-                       parseFloat(cartItem.customPrice) || 0;
-                       
-      // Distribute discount proportionally to calculate accurate item profit
-      let itemDiscount = subtotal > 0 ? (rawFinalPrice / subtotal) * safeDiscount : 0;
-      let finalPrice = Math.round(rawFinalPrice - itemDiscount);
-                       
-      let cp = cartItem.saree.cp || 0;
-      let profit = finalPrice - cp;
+  doc.line(5, y - 3, width - 5, y - 3);
+  y += 1;
+  doc.text('Subtotal', 5, y);
+  doc.text(rs(tx.subtotal), width - 5, y, { align: 'right' });
+  Object.entries(tx.offers).forEach(([name, amount]) => {
+    y += lineHeight;
+    doc.text(name, 5, y);
+    doc.text(`-${rs(amount)}`, width - 5, y, { align: 'right' });
+  });
+  if (tx.discount) {
+    y += lineHeight;
+    doc.text('Extra Discount', 5, y);
+    doc.text(`-${rs(tx.discount)}`, width - 5, y, { align: 'right' });
+  }
+  y += lineHeight + 1;
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(11);
+  doc.text('Total', 5, y);
+  doc.text(rs(tx.total), width - 5, y, { align: 'right' });
+  y += lineHeight;
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(9);
+  Object.entries(tx.payments).forEach(([method, amount]) => {
+    doc.text(`Paid by ${method}`, 5, y);
+    doc.text(rs(amount), width - 5, y, { align: 'right' });
+    y += lineHeight;
+  });
+  y += 3;
+  doc.text('Thank you for shopping with us!', width / 2, y, { align: 'center' });
+  return doc;
+};
 
-      newSales.push({
-        id: Date.now().toString() + Math.random().toString().slice(2, 8),
-        sareeCode: cartItem.saree.code,
-        cp: cp,
-        salePrice: finalPrice,
-        profit: profit,
-        paymentMethod: paymentMethod,
-        saleDate: timestamp,
-        timestampISO: timestampISO
-      });
-    });
+// --- Exhibition Helpers ---
 
-    setSarees(updatedSarees);
-    setSales([...newSales, ...sales]);
-    setCart([]); 
-    setExtraDiscount(0);
-    setShowPaymentModal(false);
-    setPaymentMethod('UPI'); // Reset default
-    showNotification(`Sale Completed! ${cart.length} items sold.`);
+// Headline figures for a set of sales and refunds (one show, or everything)
+const summarizeSales = (salesList, refundsList) => {
+  const gross = salesList.reduce((sum, s) => sum + (s.salePrice || 0), 0);
+  const refunded = refundsList.reduce((sum, r) => sum + (r.refundAmount || 0), 0);
+  const profit = salesList.reduce((sum, s) => sum + (s.profit || 0), 0) - refundsList.reduce((sum, r) => sum + getRefundProfitReversal(r), 0);
+  const transactions = new Set(salesList.map(getTransactionId)).size;
+  return {
+    gross,
+    refunded,
+    net: gross - refunded,
+    profit,
+    itemsSold: salesList.length - refundsList.filter(r => r.saleId).length,
+    transactions,
+    averageBill: transactions > 0 ? Math.round((gross - refunded) / transactions) : 0
   };
+};
 
-  const togglePaymentMethod = (transactionId) => {
-    const updatedSales = sales.map(sale => {
-      const saleGroupId = sale.timestampISO || sale.saleDate;
-      if (saleGroupId === transactionId) {
-        return {
-          ...sale,
-          paymentMethod: sale.paymentMethod === 'UPI' ? 'Cash' : 'UPI'
-        };
+const formatExhibitionDates = (exhibition) => {
+  const format = (date) => date ? new Date(date).toLocaleDateString() : '';
+  if (!exhibition.startDate && !exhibition.endDate) return '';
+  return exhibition.endDate && exhibition.endDate !== exhibition.startDate
+    ? `${format(exhibition.startDate)} – ${format(exhibition.endDate)}`
+    : format(exhibition.startDate);
+};
+
+// --- Saree Attribute Helpers ---
+
+// Free-text attributes; the options only seed the form's suggestions
+const SAREE_TEXT_ATTRIBUTES = [
+  { key: 'fabric', label: 'Fabric', options: ['Silk', 'Cotton', 'Georgette', 'Chiffon', 'Linen', 'Crepe', 'Organza', 'Tussar', 'Chanderi', 'Art Silk'] },
+  { key: 'colour', label: 'Colour', options: ['Red', 'Maroon', 'Pink', 'Orange', 'Yellow', 'Green', 'Blue', 'Purple', 'Black', 'White', 'Cream', 'Gold', 'Multicolour'] },
+  { key: 'design', label: 'Weave / Design', options: ['Kanjivaram', 'Banarasi', 'Paithani', 'Ikat', 'Bandhani', 'Zari Border', 'Printed', 'Embroidered', 'Plain'] }
+];
+const DEFAULT_SAREE_LENGTH = 5.5; // Metres, without the blouse piece
+
+// Every attribute the inventory filters and the sales breakdown can group by
+const SAREE_ATTRIBUTE_LABELS = { fabric: 'Fabric', colour: 'Colour', design: 'Design', length: 'Length', blousePiece: 'Blouse Piece' };
+
+// "  maroon " and "Maroon" should land in the same filter bucket
+const normalizeAttributeValue = (value) => String(value || '').trim().replace(/\s+/g, ' ').toLowerCase().replace(/\b\w/g, c => c.toUpperCase());
+
+const INVENTORY_PAGE_SIZE = 40; // Cards on one page of the stock list
+
+const getDateAddedTime = (saree) => new Date(saree.dateAdded).getTime() || 0;
+const getMargin = (saree) => (saree.mrp || 0) - (saree.cp || 0);
+
+// Each sort ranks by one number per saree, worked out once before sorting
+const INVENTORY_SORTS = {
+  newest: { label: 'Newest first', rank: getDateAddedTime, descending: true },
+  oldest: { label: 'Oldest first', rank: getDateAddedTime },
+  mrpHigh: { label: 'MRP: high to low', rank: s => s.mrp || 0, descending: true },
+  mrpLow: { label: 'MRP: low to high', rank: s => s.mrp || 0 },
+  cpHigh: { label: 'CP: high to low', rank: s => s.cp || 0, descending: true, ownerOnly: true },
+  cpLow: { label: 'CP: low to high', rank: s => s.cp || 0, ownerOnly: true },
+  marginHigh: { label: 'Margin: high to low', rank: getMargin, descending: true, ownerOnly: true },
+  marginLow: { label: 'Margin: low to high', rank: getMargin, ownerOnly: true }
+};
+
+const sortInventory = (sareeList, sortKey) => {
+  const { rank, descending } = INVENTORY_SORTS[sortKey];
+  const direction = descending ? -1 : 1;
+  return sareeList
+    .map(saree => ({ saree, value: rank(saree) }))
+    .sort((a, b) => (a.value - b.value) * direction)
+    .map(entry => entry.saree);
+};
+
+// Every word typed has to appear somewhere in the code, shop or attributes ("silk maroon ckc")
+const matchesInventorySearch = (saree, terms) => {
+  if (terms.length === 0) return true;
+  const haystack = [saree.code, saree.shopName, saree.shopCode, saree.fabric, saree.colour, saree.design]
+    .filter(Boolean).join(' ').toLowerCase();
+  return terms.every(term => haystack.includes(term));
+};
+
+const parseBlousePiece = (value) => {
+  const text = String(value ?? '').trim().toLowerCase();
+  if (!text) return null;
+  return ['yes', 'y', 'true', '1', 'with'].includes(text);
+};
+
+const getSareeAttributeValue = (saree, key) => {
+  if (!saree) return 'Unspecified';
+  if (key === 'blousePiece') return saree.blousePiece === true ? 'With blouse' : saree.blousePiece === false ? 'No blouse' : 'Unspecified';
+  if (key === 'length') return saree.length ? `${saree.length} m` : 'Unspecified';
+  return saree[key] || 'Unspecified';
+};
+
+// Net items, revenue and profit per attribute value, joining sales back to their sarees by code
+const summarizeSalesByAttribute = (salesList, refundsList, sareeList, key) => {
+  const sareeByCode = new Map(sareeList.map(s => [s.code, s]));
+  const refundsBySaleId = Object.fromEntries(refundsList.filter(r => r.saleId).map(r => [r.saleId, r]));
+  const groups = {};
+  salesList.forEach(sale => {
+    const value = getSareeAttributeValue(sareeByCode.get(sale.sareeCode), key);
+    const group = groups[value] = groups[value] || { value, itemsSold: 0, revenue: 0, profit: 0 };
+    const refund = refundsBySaleId[sale.id];
+    if (!refund) group.itemsSold++;
+    group.revenue += (sale.salePrice || 0) - (refund?.refundAmount || 0);
+    group.profit += (sale.profit || 0) - (refund ? getRefundProfitReversal(refund) : 0);
+  });
+  return Object.values(groups).sort((a, b) => b.revenue - a.revenue);
+};
+
+// --- Discount Rule Helpers ---
+const DISCOUNT_RULE_TYPES = { percent: '% off', flat: '₹ off' };
+
+const createDiscountRule = () => ({
+  id: Date.now().toString() + Math.random().toString().slice(2, 8),
+  name: '',
+  type: 'percent',
+  value: '',
+  shopName: '', // Blank means every shop
+  attributeKey: '',
+  attributeValue: '',
+  minPrice: '', // Price band on each item's list price
+  maxPrice: '',
+  minItems: '', // Cart conditions, counted over the items the rule covers
+  minSubtotal: '',
+  active: true
+});
+
+// Shop, attribute and price band decide which cart items an offer covers
+const discountRuleCoversItem = (rule, saree, listPrice) => {
+  if (rule.shopName && saree.shopName !== rule.shopName) return false;
+  if (rule.attributeKey && normalizeAttributeValue(saree[rule.attributeKey]) !== normalizeAttributeValue(rule.attributeValue)) return false;
+  if (parseFloat(rule.minPrice) && listPrice < parseFloat(rule.minPrice)) return false;
+  if (parseFloat(rule.maxPrice) && listPrice > parseFloat(rule.maxPrice)) return false;
+  return true;
+};
+
+// "10% off · Fabric: Silk · 2+ items"
+const describeDiscountRule = (rule) => [
+  rule.type === 'percent' ? `${rule.value}% off` : `₹${(parseFloat(rule.value) || 0).toLocaleString()} off`,
+  rule.shopName && `Shop: ${rule.shopName}`,
+  rule.attributeKey && `${SAREE_ATTRIBUTE_LABELS[rule.attributeKey]}: ${rule.attributeValue}`,
+  (rule.minPrice || rule.maxPrice) && `Items ₹${rule.minPrice || 0}–${rule.maxPrice ? `₹${rule.maxPrice}` : 'any'}`,
+  parseFloat(rule.minItems) > 1 && `${rule.minItems}+ items`,
+  parseFloat(rule.minSubtotal) > 0 && `Above ₹${parseFloat(rule.minSubtotal).toLocaleString()}`
+].filter(Boolean).join(' · ');
+
+// Works out what every active offer takes off each cart line ({ saree, listPrice }).
+// Offers stack, each taken off the list price, but never push an item below zero.
+const applyDiscountRules = (rules, lines) => {
+  const remaining = lines.map(line => line.listPrice);
+  const perLine = lines.map(() => ({ amount: 0, rules: [] }));
+
+  rules.filter(rule => rule.active && parseFloat(rule.value) > 0).forEach(rule => {
+    const covered = lines.map((line, i) => i).filter(i => discountRuleCoversItem(rule, lines[i].saree, lines[i].listPrice));
+    const coveredTotal = covered.reduce((sum, i) => sum + lines[i].listPrice, 0);
+    if (covered.length === 0) return;
+    if (parseFloat(rule.minItems) && covered.length < parseFloat(rule.minItems)) return;
+    if (parseFloat(rule.minSubtotal) && coveredTotal < parseFloat(rule.minSubtotal)) return;
+
+    const value = parseFloat(rule.value);
+    const amounts = rule.type === 'percent'
+      ? covered.map(i => Math.round(lines[i].listPrice * Math.min(value, 100) / 100))
+      : allocateProportionally(Math.min(value, coveredTotal), covered.map(i => lines[i].listPrice));
+
+    covered.forEach((i, k) => {
+      const amount = Math.min(amounts[k], remaining[i]);
+      if (amount <= 0) return;
+      remaining[i] -= amount;
+      perLine[i].amount += amount;
+      perLine[i].rules.push({ id: rule.id, name: rule.name, amount });
+    });
+  });
+
+  return perLine;
+};
+
+// --- Stock Import Helpers ---
+// Saree fields a vendor's file can be mapped onto; `match` guesses the column from its header
+const IMPORT_FIELDS = [
+  { key: 'code', label: 'Product Code', required: true, match: h => h.includes('product_code') || h === 'product code' || h === 'productcode' || h === 'code' },
+  { key: 'shopName', label: 'Shop Name', required: true, match: h => h.includes('shop_name') || h === 'shop name' || h === 'shopname' },
+  { key: 'shopCode', label: 'Shop Code', match: h => h.includes('shop_code') || h === 'shop code' || h === 'shopcode' },
+  { key: 'cp', label: 'CP (Cost)', required: true, match: h => h === 'cp' || h.includes('cost') },
+  { key: 'mrp', label: 'MRP', required: true, match: h => h === 'mrp' },
+  { key: 'asp60', label: 'ASP60', match: h => h.includes('asp60') || h === 'asp' },
+  { key: 'status', label: 'Status', match: h => h.includes('status') },
+  { key: 'fabric', label: 'Fabric', match: h => h === 'fabric' || h === 'type' || h === 'material' },
+  { key: 'colour', label: 'Colour', match: h => h === 'colour' || h === 'color' },
+  { key: 'design', label: 'Design', match: h => h === 'design' || h.includes('weave') },
+  { key: 'length', label: 'Length (m)', match: h => h.startsWith('length') },
+  { key: 'blousePiece', label: 'Blouse Piece', match: h => h.includes('blouse') }
+];
+
+// Spreadsheets keep formatted-but-empty rows; they are gaps, not items missing a code
+const isBlankImportRow = (row) => row.every(cell => String(cell ?? '').trim() === '');
+
+// The same vendor sends the same headers, so the header row identifies the file format
+const getImportFormatKey = (headers) => headers.map(h => h.trim().toLowerCase()).join('|');
+
+// Field -> column index (-1 when the file has no such column)
+const guessImportMapping = (headers) => {
+  const lower = headers.map(h => h.trim().toLowerCase());
+  return Object.fromEntries(IMPORT_FIELDS.map(field => [field.key, lower.findIndex(field.match)]));
+};
+
+// "₹1,499" and "Rs. 1499" are fine; "1.5k" or "ask" are not
+const parseImportNumber = (text) => {
+  const cleaned = text.replace(/rs\.?|₹|,|\s/gi, '');
+  return cleaned !== '' && !isNaN(Number(cleaned)) ? Number(cleaned) : null;
+};
+
+// Checks every row against the mapping; valid rows carry the saree to add, invalid ones their reasons
+const validateImportRows = (rows, mapping, existingCodes, cipher) => {
+  const seenCodes = new Set(existingCodes.map(toCodeKey));
+  return rows.map((values, i) => {
+    const get = (key) => mapping[key] >= 0 ? String(values[mapping[key]] ?? '').trim() : '';
+    const errors = [];
+
+    const code = get('code'); // Stored as the vendor wrote it; compared through toCodeKey
+    const parsed = parseSareeCode(code, cipher);
+    if (!code) errors.push('No product code');
+    else if (seenCodes.has(toCodeKey(code))) errors.push('Code already exists');
+    seenCodes.add(toCodeKey(code));
+
+    const shopName = get('shopName');
+    if (!shopName) errors.push('No shop name');
+    // Without a shop code column, the code itself says which shop it belongs to
+    const shopCode = get('shopCode').toUpperCase() || parsed?.shopCode || 'N/A';
+    if (parsed && get('shopCode') && parsed.shopCode !== shopCode) errors.push(`Code is not from shop ${shopCode}`);
+
+    const prices = {};
+    ['cp', 'mrp', 'asp60'].forEach(key => {
+      const label = IMPORT_FIELDS.find(field => field.key === key).label;
+      const text = get(key);
+      if (!text) {
+        if (key === 'asp60') prices.asp60 = parsed?.asp60 ?? 0; // Read back from the camouflaged code
+        else errors.push(`No ${label}`);
+        return;
       }
-      return sale;
+      prices[key] = parseImportNumber(text);
+      if (prices[key] === null || prices[key] < 0) errors.push(`${label} "${text}" is not a price`);
     });
-    setSales(updatedSales);
-    showNotification('Payment method updated.');
-  };
 
-  // --- CAMERA SCANNER LOGIC ---
+    const statusText = get('status').toLowerCase();
+    const status = !statusText || statusText.includes('avail') ? 'available' : statusText.includes('sold') ? 'sold' : statusText.includes('new') ? 'new' : null;
+    if (!status) errors.push(`Unknown status "${get('status')}"`);
 
-  const startCameraScanner = () => {
-    if (!window.Html5Qrcode) {
-      showNotification("Scanner library loading, try again.", "error");
-      return;
+    const length = get('length') ? parseImportNumber(get('length').replace(/m(etres?|eters?)?$/i, '')) : null;
+    if (get('length') && !length) errors.push(`Length "${get('length')}" is not a number`);
+
+    return {
+      rowNumber: i + 2, // Spreadsheet row, counting the header
+      code,
+      errors,
+      saree: errors.length > 0 ? null : {
+        code,
+        shopName,
+        shopCode,
+        ...prices,
+        fabric: normalizeAttributeValue(get('fabric')),
+        colour: normalizeAttributeValue(get('colour')),
+        design: normalizeAttributeValue(get('design')),
+        length,
+        blousePiece: parseBlousePiece(get('blousePiece')),
+        status
+      }
+    };
+  });
+};
+
+// --- Excel Workbook Helpers ---
+const EXCEL_CURRENCY_FORMAT = '[$₹-4009]#,##0.00';
+const EXCEL_DATE_FORMAT = 'dd/mm/yyyy hh:mm';
+
+const toExcelCell = (value, type) => {
+  if (value === null || value === undefined || value === '') return null;
+  if (type === 'currency') return { value: Number(value), type: Number, format: EXCEL_CURRENCY_FORMAT };
+  if (type === 'number') return { value: Number(value), type: Number };
+  if (type === 'date') {
+    const date = new Date(value);
+    if (isNaN(date)) return { value: String(value), type: String };
+    // Excel dates carry no time zone, so write the wall-clock time the shop saw
+    return { value: new Date(date.getTime() - date.getTimezoneOffset() * 60000), type: Date, format: EXCEL_DATE_FORMAT };
+  }
+  return { value: String(value), type: String };
+};
+
+// { sheet, columns: [{ header, value(row), type, width }], rows } -> one write-excel-file sheet with a frozen bold header
+const buildExcelSheet = ({ sheet, columns, rows }) => ({
+  sheet,
+  data: [
+    columns.map(col => ({ value: col.header, fontWeight: 'bold' })),
+    ...rows.map(row => columns.map(col => toExcelCell(col.value(row), col.type)))
+  ],
+  columns: columns.map(col => ({ width: col.width || 14 })),
+  stickyRowsCount: 1
+});
+
+const buildInventorySheet = (sareeList) => buildExcelSheet({
+  sheet: 'Inventory',
+  rows: sareeList,
+  columns: [
+    { header: 'Product Code', value: s => s.code, width: 20 },
+    { header: 'Shop Name', value: s => s.shopName, width: 22 },
+    { header: 'Shop Code', value: s => s.shopCode, width: 10 },
+    { header: 'Status', value: s => s.status, width: 10 },
+    { header: 'Fabric', value: s => s.fabric },
+    { header: 'Colour', value: s => s.colour },
+    { header: 'Design', value: s => s.design },
+    { header: 'Length (m)', value: s => s.length, type: 'number', width: 10 },
+    { header: 'Blouse Piece', value: s => s.blousePiece === true ? 'Yes' : s.blousePiece === false ? 'No' : '', width: 12 },
+    { header: 'CP', value: s => s.cp, type: 'currency' },
+    { header: 'ASP60', value: s => s.asp60, type: 'currency' },
+    { header: 'MRP', value: s => s.mrp, type: 'currency' },
+    { header: 'Date Added', value: s => s.dateAdded, type: 'date', width: 17 }
+  ]
+});
+
+// One row per bill, refunds shown against the bill they came out of
+const buildSalesSheet = (salesList, refundsList) => {
+  const groups = new Map();
+  salesList.forEach(sale => {
+    const id = getTransactionId(sale);
+    if (!groups.has(id)) groups.set(id, []);
+    groups.get(id).push(sale);
+  });
+  const refundsBySaleId = Object.fromEntries(refundsList.filter(r => r.saleId).map(r => [r.saleId, r]));
+  const rows = Array.from(groups.values()).map(group => {
+    const refunds = group.map(sale => refundsBySaleId[sale.id]).filter(Boolean);
+    return {
+      ...buildTransactionFromSales(group),
+      timestamp: group[0].timestampISO || group[0].saleDate,
+      codes: group.map(sale => sale.sareeCode).join(', '),
+      offerTotal: group.reduce((sum, sale) => sum + (sale.offerDiscount || 0), 0),
+      refunded: refunds.reduce((sum, r) => sum + (r.refundAmount || 0), 0),
+      profit: group.reduce((sum, sale) => sum + (sale.profit || 0), 0) - refunds.reduce((sum, r) => sum + getRefundProfitReversal(r), 0)
+    };
+  }).sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+  return buildExcelSheet({
+    sheet: 'Sales',
+    rows,
+    columns: [
+      { header: 'Receipt No', value: tx => tx.receiptNo, width: 10 },
+      { header: 'Date', value: tx => tx.timestamp, type: 'date', width: 17 },
+      { header: 'Items', value: tx => tx.items.length, type: 'number', width: 7 },
+      { header: 'Product Codes', value: tx => tx.codes, width: 30 },
+      { header: 'List Total', value: tx => tx.subtotal, type: 'currency' },
+      { header: 'Offers', value: tx => tx.offerTotal, type: 'currency' },
+      { header: 'Discount', value: tx => tx.discount, type: 'currency' },
+      { header: 'Bill Total', value: tx => tx.total, type: 'currency' },
+      ...PAYMENT_METHODS.map(method => ({ header: method, value: tx => tx.payments[method] || 0, type: 'currency' })),
+      { header: 'Refunded', value: tx => tx.refunded, type: 'currency' },
+      { header: 'Profit', value: tx => tx.profit, type: 'currency' }
+    ]
+  });
+};
+
+// Stock position and net takings per vendor shop
+const buildShopSummarySheet = (sareeList, salesList, refundsList) => {
+  const salesByShop = Object.fromEntries(summarizeSalesByAttribute(salesList, refundsList, sareeList, 'shopName').map(group => [group.value, group]));
+  const shops = {};
+  sareeList.forEach(s => {
+    const shop = shops[s.shopName] = shops[s.shopName] || { shopName: s.shopName, shopCode: s.shopCode, pieces: 0, inStock: 0, stockCp: 0, stockMrp: 0 };
+    shop.pieces++;
+    if (s.status !== 'sold') {
+      shop.inStock++;
+      shop.stockCp += s.cp || 0;
+      shop.stockMrp += s.mrp || 0;
     }
-    setIsCameraActive(true);
-    
-    setTimeout(() => {
-      const html5QrCode = new window.Html5Qrcode("reader");
-      scannerRef.current = html5QrCode;
-      
-      // Force the camera to display as a square (aspectRatio: 1.0)
-      html5QrCode.start(
-        { facingMode: "environment" }, 
-        { fps: 10, qrbox: { width: 250, height: 250 }, aspectRatio: 1.0 },
-        (decodedText) => {
-          const audio = new Audio('https://assets.mixkit.co/active_storage/sfx/2869/2869-preview.mp3');
-          audio.play().catch(e => console.log('Audio blocked'));
-          
-          handleScanInput(decodedText);
-          stopCameraScanner();
-        },
-        (errorMessage) => { }
-      ).catch(err => {
-        console.error("Camera Error:", err);
-        showNotification("Could not access camera.", "error");
-        setIsCameraActive(false);
-      });
-    }, 100);
-  };
+  });
+  const rows = Object.values(shops)
+    .map(shop => ({ ...shop, ...(salesByShop[shop.shopName] || { itemsSold: 0, revenue: 0, profit: 0 }) }))
+    .sort((a, b) => a.shopName.localeCompare(b.shopName));
 
-  const stopCameraScanner = () => {
-    if (scannerRef.current) {
-      scannerRef.current.stop().then(() => {
-        scannerRef.current.clear();
-        setIsCameraActive(false);
-      }).catch(console.error);
-    } else {
-      setIsCameraActive(false);
+  return buildExcelSheet({
+    sheet: 'Shop Summary',
+    rows,
+    columns: [
+      { header: 'Shop Name', value: shop => shop.shopName, width: 22 },
+      { header: 'Shop Code', value: shop => shop.shopCode, width: 10 },
+      { header: 'Pieces', value: shop => shop.pieces, type: 'number', width: 8 },
+      { header: 'In Stock', value: shop => shop.inStock, type: 'number', width: 8 },
+      { header: 'Stock at CP', value: shop => shop.stockCp, type: 'currency' },
+      { header: 'Stock at MRP', value: shop => shop.stockMrp, type: 'currency' },
+      { header: 'Net Sold', value: shop => shop.itemsSold, type: 'number', width: 8 },
+      { header: 'Net Sales', value: shop => shop.revenue, type: 'currency' },
+      { header: 'Profit', value: shop => shop.profit, type: 'currency' }
+    ]
+  });
+};
+
+// --- Customer Helpers ---
+
+// Compare numbers by their last 10 digits so "+91 98450 12345" and "9845012345" match
+const normalizePhone = (phone) => String(phone || '').replace(/\D/g, '').slice(-10);
+
+// Lifetime figures per customer id, built from their linked sales net of refunds
+const summarizeCustomers = (salesList, refundsList) => {
+  const refundsBySaleId = Object.fromEntries(refundsList.filter(r => r.saleId).map(r => [r.saleId, r]));
+  const stats = {};
+  salesList.forEach(sale => {
+    if (!sale.customerId) return;
+    const entry = stats[sale.customerId] = stats[sale.customerId] || { transactions: {}, itemsBought: 0, totalSpend: 0, lastVisit: 0 };
+    const refund = refundsBySaleId[sale.id];
+    const txId = getTransactionId(sale);
+    const tx = entry.transactions[txId] = entry.transactions[txId] || { id: txId, receiptNo: sale.receiptNo, saleDate: sale.saleDate, time: getRecordTime(sale), items: [], total: 0 };
+    tx.items.push({ sareeCode: sale.sareeCode, salePrice: sale.salePrice || 0, refunded: !!refund });
+    tx.total += (sale.salePrice || 0) - (refund?.refundAmount || 0);
+    if (!refund) entry.itemsBought++;
+    entry.totalSpend += (sale.salePrice || 0) - (refund?.refundAmount || 0);
+    entry.lastVisit = Math.max(entry.lastVisit, getRecordTime(sale) || 0);
+  });
+  return Object.fromEntries(Object.entries(stats).map(([id, entry]) => [id, {
+    ...entry,
+    transactions: sortNewestFirst(Object.values(entry.transactions), tx => tx.time || 0)
+  }]));
+};
+
+// --- Audit Log Helpers ---
+const AUDIT_ACTIONS = {
+  SALE_COMPLETED: 'Sale completed',
+  CUSTOM_PRICE: 'Custom price',
+  EXTRA_DISCOUNT: 'Extra discount',
+  DISCOUNT_RULE_CHANGED: 'Offer changed',
+  PRICE_OVERRIDE: 'Sold below price floor',
+  MIN_MARGIN_CHANGED: 'Minimum margin changed',
+  PRICE_CODE_CHANGED: 'Price code scheme changed',
+  PAYMENT_METHOD_CHANGED: 'Payment method changed',
+  RETURN_PROCESSED: 'Return processed',
+  ITEM_ADDED: 'Item added',
+  ITEMS_IMPORTED: 'Items imported',
+  ITEMS_MARKED_AVAILABLE: 'Marked available',
+  ITEM_DELETED: 'Item deleted',
+  SETTLEMENT_PAID: 'Vendor settled',
+  BACKUP_RESTORED: 'Backup restored',
+  BACKUP_MERGED: 'Backup merged',
+  FACTORY_RESET: 'Factory reset'
+};
+
+// Before/after values are small flat objects; show them as "key: value" pairs
+const formatAuditValue = (value) => {
+  if (value === null || value === undefined) return '';
+  if (typeof value !== 'object') return String(value);
+  return Object.entries(value).map(([key, v]) => `${key}: ${v ?? '-'}`).join(', ');
+};
+
+// --- Vendor Settlement Helpers ---
+const SETTLEMENT_PAYMENT_METHODS = ['Cash', 'UPI', 'Bank Transfer'];
+
+// Period bounds are whole days in local time; a missing start means "from the beginning"
+const getPeriodBounds = (periodStart, periodEnd) => ({
+  from: periodStart ? new Date(`${periodStart}T00:00:00`).getTime() : -Infinity,
+  to: periodEnd ? new Date(`${periodEnd}T23:59:59.999`).getTime() : Infinity
+});
+
+// What we owe one consignment vendor: every unsettled sale up to the period end at cost price,
+// less a credit for pieces that were paid for in an earlier settlement and since came back
+const buildSettlementStatement = ({ shopName, periodStart, periodEnd, sarees, sales, refunds, settlements }) => {
+  const shopSarees = sarees.filter(s => s.shopName === shopName);
+  const sareeByCode = new Map(shopSarees.map(s => [s.code, s]));
+  const shopSettlements = settlements.filter(x => x.shopName === shopName);
+  const settledSaleIds = new Set(shopSettlements.flatMap(x => x.soldItems.map(i => i.saleId)));
+  const settledRefundIds = new Set(shopSettlements.flatMap(x => x.returnedItems.map(i => i.refundId)));
+  const refundedSaleIds = new Set(refunds.map(r => r.saleId).filter(Boolean));
+  const { from, to } = getPeriodBounds(periodStart, periodEnd);
+
+  const soldItems = sales
+    .filter(sale => sareeByCode.has(sale.sareeCode) && !refundedSaleIds.has(sale.id) && !settledSaleIds.has(sale.id) && getRecordTime(sale) <= to)
+    .map(sale => ({
+      saleId: sale.id,
+      sareeCode: sale.sareeCode,
+      saleDate: sale.saleDate,
+      salePrice: sale.salePrice || 0,
+      cp: sale.cp ?? sareeByCode.get(sale.sareeCode).cp ?? 0
+    }));
+
+  const returnedItems = refunds
+    .filter(refund => sareeByCode.has(refund.sareeCode) && !settledRefundIds.has(refund.id))
+    .filter(refund => {
+      const time = getRecordTime(refund);
+      return time >= from && time <= to;
+    })
+    .map(refund => ({
+      refundId: refund.id,
+      saleId: refund.saleId,
+      sareeCode: refund.sareeCode,
+      refundDate: refund.refundDate,
+      reason: refund.reason || '',
+      cp: refund.cp ?? sareeByCode.get(refund.sareeCode).cp ?? 0,
+      // Only pieces already paid for need crediting back; the rest were never billed
+      credit: settledSaleIds.has(refund.saleId)
+    }));
+
+  const unsoldItems = shopSarees
+    .filter(s => s.status !== 'sold')
+    .map(s => ({ sareeCode: s.code, cp: s.cp || 0, mrp: s.mrp || 0, status: s.status }));
+
+  const soldCp = soldItems.reduce((sum, i) => sum + i.cp, 0);
+  const creditCp = returnedItems.filter(i => i.credit).reduce((sum, i) => sum + i.cp, 0);
+
+  return {
+    shopName,
+    shopCode: shopSarees[0]?.shopCode || '',
+    periodStart,
+    periodEnd,
+    soldItems,
+    returnedItems,
+    unsoldItems,
+    totals: {
+      soldCp,
+      creditCp,
+      unsoldCp: unsoldItems.reduce((sum, i) => sum + i.cp, 0),
+      amountPayable: soldCp - creditCp
     }
   };
+};
 
+const formatSettlementPeriod = (statement) => {
+  const format = (date) => date ? new Date(`${date}T00:00:00`).toLocaleDateString() : '';
+  return `${statement.periodStart ? format(statement.periodStart) : 'Start'} – ${statement.periodEnd ? format(statement.periodEnd) : 'Today'}`;
+};
 
-  const parseCSV = (csvText) => {
-    const rows = [];
-    let currentRow = [];
-    let currentCell = '';
-    let insideQuotes = false;
-  
-    for (let i = 0; i < csvText.length; i++) {
-      const char = csvText[i];
-      const nextChar = csvText[i + 1];
-  
-      if (char === '"') {
-        if (insideQuotes && nextChar === '"') {
-          // It's an escaped quote ("") inside a quoted string
-          currentCell += '"';
-          i++; // Skip the next quote
-        } else {
-          // Toggle the insideQuotes flag
-          insideQuotes = !insideQuotes;
-        }
-      } else if (char === ',' && !insideQuotes) {
-        // End of the current cell
-        currentRow.push(currentCell.trim());
-        currentCell = '';
-      } else if ((char === '\n' || char === '\r') && !insideQuotes) {
-        // End of the current row
-        if (char === '\r' && nextChar === '\n') {
-          i++; // Skip the \n if it's \r\n
-        }
-        currentRow.push(currentCell.trim());
-        rows.push(currentRow);
-        currentRow = [];
-        currentCell = '';
-      } else {
-        // Any other character
-        currentCell += char;
-      }
+// One flat row per piece so the vendor can tick items off in a spreadsheet
+const buildSettlementCSVRows = (statement) => [
+  ...statement.soldItems.map(i => ({ section: 'Sold - payable', sareeCode: i.sareeCode, date: i.saleDate, cp: i.cp, amount: i.cp, note: '' })),
+  ...statement.returnedItems.map(i => ({
+    section: i.credit ? 'Returned - credit' : 'Returned - back in stock',
+    sareeCode: i.sareeCode,
+    date: i.refundDate,
+    cp: i.cp,
+    amount: i.credit ? -i.cp : 0,
+    note: i.reason
+  })),
+  ...statement.unsoldItems.map(i => ({ section: 'Unsold - to return', sareeCode: i.sareeCode, date: '', cp: i.cp, amount: 0, note: i.status })),
+  { section: 'Amount payable', sareeCode: '', date: '', cp: '', amount: statement.totals.amountPayable, note: statement.paidAt ? `Paid ${new Date(statement.paidAt).toLocaleString()} by ${statement.paidMethod}` : '' }
+];
+
+const buildSettlementHTML = (statement) => {
+  const rows = (items, render) => items.length
+    ? items.map(render).join('')
+    : '<tr><td colspan="3" class="empty">None</td></tr>';
+
+  return `<!doctype html>
+<html>
+<head>
+<meta charset="utf-8" />
+<title>Settlement ${escapeHTML(statement.shopName)}</title>
+<style>
+  @page { size: A4; margin: 14mm; }
+  body { margin: 0; font-family: Arial, Helvetica, sans-serif; font-size: 10pt; color: #000; }
+  h1 { font-size: 16pt; margin: 0 0 1mm; }
+  h2 { font-size: 11pt; margin: 6mm 0 2mm; border-bottom: 1px solid #000; padding-bottom: 1mm; }
+  .meta { font-size: 9pt; margin-bottom: 4mm; }
+  table { width: 100%; border-collapse: collapse; }
+  th, td { padding: 1mm 2mm; text-align: left; border-bottom: 1px solid #ddd; }
+  th { font-size: 9pt; background: #f3f3f3; }
+  .num { text-align: right; white-space: nowrap; }
+  .code { font-family: 'Courier New', monospace; font-weight: bold; }
+  .empty { color: #777; font-style: italic; }
+  .summary td { border: 0; font-size: 11pt; }
+  .grand td { font-size: 13pt; font-weight: bold; border-top: 2px solid #000; }
+  .sign { margin-top: 18mm; display: flex; justify-content: space-between; font-size: 9pt; }
+  .sign div { border-top: 1px solid #000; width: 60mm; text-align: center; padding-top: 1mm; }
+</style>
+</head>
+<body>
+  <h1>${escapeHTML(RECEIPT_TITLE)} &middot; Consignment Settlement</h1>
+  <div class="meta">
+    Vendor: <b>${escapeHTML(statement.shopName)}</b>${statement.shopCode ? ` (${escapeHTML(statement.shopCode)})` : ''}<br/>
+    Period: ${escapeHTML(formatSettlementPeriod(statement))}<br/>
+    ${statement.paidAt ? `Paid on ${escapeHTML(new Date(statement.paidAt).toLocaleString())} by ${escapeHTML(statement.paidMethod)}${statement.note ? ` &middot; ${escapeHTML(statement.note)}` : ''}` : `Prepared on ${escapeHTML(new Date().toLocaleString())}`}
+  </div>
+
+  <h2>Sold pieces (${statement.soldItems.length})</h2>
+  <table>
+    <tr><th>Code</th><th>Sale date</th><th class="num">Cost price</th></tr>
+    ${rows(statement.soldItems, i => `<tr><td class="code">${escapeHTML(i.sareeCode)}</td><td>${escapeHTML(i.saleDate)}</td><td class="num">₹${i.cp.toLocaleString()}</td></tr>`)}
+  </table>
+
+  <h2>Returns during the period (${statement.returnedItems.length})</h2>
+  <table>
+    <tr><th>Code</th><th>Returned</th><th class="num">Credit</th></tr>
+    ${rows(statement.returnedItems, i => `<tr><td class="code">${escapeHTML(i.sareeCode)}</td><td>${escapeHTML(i.refundDate)}${i.reason ? ` &middot; ${escapeHTML(i.reason)}` : ''}</td><td class="num">${i.credit ? `-₹${i.cp.toLocaleString()}` : 'Not billed'}</td></tr>`)}
+  </table>
+
+  <h2>Unsold pieces to return (${statement.unsoldItems.length})</h2>
+  <table>
+    <tr><th>Code</th><th>MRP</th><th class="num">Cost price</th></tr>
+    ${rows(statement.unsoldItems, i => `<tr><td class="code">${escapeHTML(i.sareeCode)}</td><td>₹${i.mrp.toLocaleString()}</td><td class="num">₹${i.cp.toLocaleString()}</td></tr>`)}
+  </table>
+
+  <h2>Summary</h2>
+  <table>
+    <tr class="summary"><td>Sold at cost</td><td class="num">₹${statement.totals.soldCp.toLocaleString()}</td></tr>
+    ${statement.totals.creditCp ? `<tr class="summary"><td>Less returns already paid for</td><td class="num">-₹${statement.totals.creditCp.toLocaleString()}</td></tr>` : ''}
+    <tr class="grand"><td>Amount payable</td><td class="num">₹${statement.totals.amountPayable.toLocaleString()}</td></tr>
+  </table>
+
+  <div class="sign"><div>For ${escapeHTML(RECEIPT_TITLE)}</div><div>Received by ${escapeHTML(statement.shopName)}</div></div>
+</body>
+</html>`;
+};
+
+const buildSettlementPDF = (statement) => {
+  const doc = new jsPDF({ unit: 'mm', format: 'a4' });
+  const width = 210;
+  const bottom = 280;
+  const lineHeight = 6;
+  const rs = (amount) => `Rs. ${amount.toLocaleString('en-IN')}`;
+  let y = 18;
+
+  const nextLine = (step = lineHeight) => {
+    y += step;
+    if (y > bottom) {
+      doc.addPage();
+      y = 18;
     }
-  
-    // Add the very last cell and row if not empty
-    if (currentCell !== '' || currentRow.length > 0) {
-      currentRow.push(currentCell.trim());
-      rows.push(currentRow);
+  };
+
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(15);
+  doc.text(`${RECEIPT_TITLE} - Consignment Settlement`, 14, y);
+  nextLine(7);
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(10);
+  doc.text(`Vendor: ${statement.shopName}${statement.shopCode ? ` (${statement.shopCode})` : ''}`, 14, y);
+  nextLine(5);
+  doc.text(`Period: ${formatSettlementPeriod(statement).replace('–', '-')}`, 14, y);
+  nextLine(5);
+  doc.text(statement.paidAt ? `Paid on ${new Date(statement.paidAt).toLocaleString()} by ${statement.paidMethod}` : `Prepared on ${new Date().toLocaleString()}`, 14, y);
+
+  const section = (title, items, renderRow) => {
+    nextLine(10);
+    doc.setFont('helvetica', 'bold');
+    doc.text(`${title} (${items.length})`, 14, y);
+    doc.line(14, y + 1.5, width - 14, y + 1.5);
+    doc.setFont('helvetica', 'normal');
+    if (items.length === 0) {
+      nextLine();
+      doc.text('None', 14, y);
     }
-  
-    // Optional: Filter out empty rows (e.g., trailing newlines)
-    return rows.filter(row => row.some(cell => cell.trim() !== ''));
+    items.forEach(item => {
+      nextLine();
+      const [code, detail, amount] = renderRow(item);
+      doc.setFont('courier', 'bold');
+      doc.text(code, 14, y);
+      doc.setFont('helvetica', 'normal');
+      doc.text(detail, 70, y);
+      doc.text(amount, width - 14, y, { align: 'right' });
+    });
   };
 
-  const handleFileUpload = (e) => {
-    const file = e.target.files[0];
-    if (!file) return;
+  section('Sold pieces', statement.soldItems, i => [i.sareeCode, String(i.saleDate), rs(i.cp)]);
+  section('Returns during the period', statement.returnedItems, i => [i.sareeCode, String(i.refundDate), i.credit ? `-${rs(i.cp)}` : 'Not billed']);
+  section('Unsold pieces to return', statement.unsoldItems, i => [i.sareeCode, `MRP ${rs(i.mrp)}`, rs(i.cp)]);
 
-    const reader = new FileReader();
-    reader.onload = (event) => {
-      try {
-        const text = event.target.result;
-        
-        const rows = parseCSV(text);
+  nextLine(12);
+  doc.text('Sold at cost', 14, y);
+  doc.text(rs(statement.totals.soldCp), width - 14, y, { align: 'right' });
+  if (statement.totals.creditCp) {
+    nextLine();
+    doc.text('Less returns already paid for', 14, y);
+    doc.text(`-${rs(statement.totals.creditCp)}`, width - 14, y, { align: 'right' });
+  }
+  nextLine(8);
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(13);
+  doc.text('Amount payable', 14, y);
+  doc.text(rs(statement.totals.amountPayable), width - 14, y, { align: 'right' });
+  return doc;
+};
 
-        if (rows.length === 0) {
-            showNotification('Error: CSV file is empty.', 'error');
-            return;
-        }
+// --- Backup Merge Helpers ---
+const STATUS_RANK = { new: 0, available: 1, sold: 2 };
 
-        const headers = rows[0].map(h => h.toLowerCase().trim());
-        
-        // Find Column Indices based on the requested structure
-        const shopNameIdx = headers.findIndex(h => h.includes('shop_name') || h === 'shop name' || h === 'shopname');
-        const shopCodeIdx = headers.findIndex(h => h.includes('shop_code') || h === 'shop code' || h === 'shopcode');
-        const codeIdx = headers.findIndex(h => h.includes('product_code') || h === 'product code' || h === 'productcode' || h === 'code');
-        const cpIdx = headers.findIndex(h => h === 'cp' || h.includes('cost'));
-        const mrpIdx = headers.findIndex(h => h === 'mrp');
-        const aspIdx = headers.findIndex(h => h.includes('asp60') || h === 'asp');
-        const statusIdx = headers.findIndex(h => h.includes('status'));
-
-        if (codeIdx === -1) {
-          showNotification('Error: CSV must have a "Product_Code" column', 'error');
-          return;
-        }
+// Union of two record lists by id; records already on this device win
+const mergeRecordsById = (localList, incomingList) => {
+  const localIds = new Set(localList.map(r => r.id));
+  const added = incomingList.filter(r => r.id && !localIds.has(r.id));
+  return { merged: [...localList, ...added], added };
+};
 
-        const newSarees = [];
-        let addedCount = 0;
-        let duplicateCount = 0;
+// Combines another counter's backup with this device's data without losing either side's sales
+const mergeBackupData = (local, incoming) => {
+  const { merged: mergedSales, added: addedSales } = mergeRecordsById(local.sales, incoming.sales);
+  const { merged: mergedRefunds, added: addedRefunds } = mergeRecordsById(local.refunds, incoming.refunds);
+  const { merged: exhibitions, added: addedExhibitions } = mergeRecordsById(local.exhibitions, incoming.exhibitions);
+  const { merged: settlements, added: addedSettlements } = mergeRecordsById(local.settlements, incoming.settlements);
+  const { merged: mergedAuditLog } = mergeRecordsById(local.auditLog, incoming.auditLog);
+  const { merged: customers, added: addedCustomers } = mergeRecordsById(local.customers, incoming.customers);
+  const sales = sortNewestFirst(mergedSales, s => getRecordTime(s) || 0);
+  const refunds = sortNewestFirst(mergedRefunds, r => getRecordTime(r) || 0);
 
-        for (let i = 1; i < rows.length; i++) {
-          const values = rows[i];
-          const code = values[codeIdx]?.toUpperCase();
-          
-          if (!code) continue;
+  // Sales still standing per code once refunds from both devices are applied
+  const refundedSaleIds = new Set(refunds.map(r => r.saleId).filter(Boolean));
+  const localSaleIds = new Set(local.sales.map(s => s.id));
+  const openSalesByCode = {};
+  sales.forEach(sale => {
+    if (refundedSaleIds.has(sale.id)) return;
+    (openSalesByCode[sale.sareeCode] = openSalesByCode[sale.sareeCode] || []).push(sale);
+  });
+  const refundedCodes = new Set(refunds.map(r => r.sareeCode));
 
-          if (sarees.some(s => s.code === code) || newSarees.some(s => s.code === code)) {
-            duplicateCount++;
-            continue;
-          }
+  const reconcileStatus = (code, statuses) => {
+    if (openSalesByCode[code]?.length) return 'sold';
+    if (refundedCodes.has(code) && statuses.includes('sold')) return 'available';
+    return statuses.reduce((best, status) => (STATUS_RANK[status] ?? 0) > (STATUS_RANK[best] ?? 0) ? status : best, statuses[0]);
+  };
 
-          let statusStr = statusIdx !== -1 && values[statusIdx] ? values[statusIdx].toLowerCase().trim() : 'available';
-          if (!statusStr.includes('sold') && !statusStr.includes('new')) statusStr = 'available';
-
-          newSarees.push({
-            id: Date.now().toString() + i,
-            code: code,
-            shopName: shopNameIdx !== -1 && values[shopNameIdx] ? values[shopNameIdx] : 'Unknown Shop',
-            shopCode: shopCodeIdx !== -1 && values[shopCodeIdx] ? values[shopCodeIdx] : 'N/A',
-            cp: cpIdx !== -1 && values[cpIdx] ? parseFloat(values[cpIdx].replace(/[^\d.-]/g, '')) || 0 : 0,
-            mrp: mrpIdx !== -1 && values[mrpIdx] ? parseFloat(values[mrpIdx].replace(/[^\d.-]/g, '')) || 0 : 0,
-            asp60: aspIdx !== -1 && values[aspIdx] ? parseFloat(values[aspIdx].replace(/[^\d.-]/g, '')) || 0 : 0,
-            status: statusStr,
-            dateAdded: new Date().toISOString()
+  const incomingById = new Map(incoming.sarees.map(s => [s.id, s]));
+  const incomingByCode = new Map(incoming.sarees.map(s => [s.code, s]));
+  const matchedIncoming = new Set();
+  const statusConflicts = [];
+  let updatedCount = 0;
+
+  const mergedSarees = local.sarees.map(saree => {
+    const other = incomingById.get(saree.id) || incomingByCode.get(saree.code);
+    const statuses = other ? [saree.status, other.status] : [saree.status];
+    if (other) matchedIncoming.add(other);
+
+    const status = reconcileStatus(saree.code, statuses);
+    if (other && other.status !== saree.status) {
+      statusConflicts.push({ code: saree.code, local: saree.status, incoming: other.status, resolved: status });
+    }
+    if (status === saree.status) return saree;
+    updatedCount++;
+    return { ...saree, status };
+  });
+
+  const newSarees = incoming.sarees
+    .filter(s => !matchedIncoming.has(s))
+    .map(s => {
+      const status = reconcileStatus(s.code, [s.status]);
+      return status === s.status ? s : { ...s, status };
+    });
+
+  // Same piece sold on more than one counter (and never returned)
+  const doubleSold = Object.entries(openSalesByCode)
+    .filter(([, codeSales]) => codeSales.length > 1)
+    .map(([code, codeSales]) => ({
+      code,
+      sales: codeSales.map(sale => ({ ...sale, origin: localSaleIds.has(sale.id) ? 'This device' : 'Backup' }))
+    }));
+
+  return {
+    sarees: [...newSarees, ...mergedSarees],
+    sales,
+    refunds,
+    exhibitions,
+    settlements,
+    auditLog: sortNewestFirst(mergedAuditLog, x => new Date(x.timestampISO).getTime() || 0),
+    customers,
+    summary: {
+      newSarees: newSarees.length,
+      updatedSarees: updatedCount,
+      newSales: addedSales.length,
+      newRefunds: addedRefunds.length,
+      newExhibitions: addedExhibitions.length,
+      newSettlements: addedSettlements.length,
+      newCustomers: addedCustomers.length,
+      statusConflicts,
+      doubleSold
+    }
+  };
+};
+
+export default function App() {
+  const [activeTab, setActiveTab] = useState('dashboard');
+  const [sarees, setSarees] = useState([]);
+  const [sales, setSales] = useState([]);
+  const [refunds, setRefunds] = useState([]);
+  const [exhibitions, setExhibitions] = useState([]);
+  const [activeExhibitionId, setActiveExhibitionId] = useState(null); // Show that new stock and sales are tagged with
+  const [exhibitionScope, setExhibitionScope] = useState('active'); // 'active' (current show only) or 'all'
+  const [settlements, setSettlements] = useState([]); // Paid vendor settlements, newest first
+  const [auditLog, setAuditLog] = useState([]); // Append-only trail of mutations, newest first
+  const [customers, setCustomers] = useState([]);
+  const [notification, setNotification] = useState(null);
+  const [isDBLoaded, setIsDBLoaded] = useState(false);
+  
+  // New POS States
+  const [cart, setCart] = useState([]);
+  const [heldCarts, setHeldCarts] = useState([]); // Parked carts [{ id, label, items, extraDiscount, heldAt }], their items reserved
+  const [holdCartLabel, setHoldCartLabel] = useState(null); // Label being typed for the cart about to be held
+  const [unfinishedCheckout, setUnfinishedCheckout] = useState(null); // Cart found on startup, waiting for resume or discard
+  const [waitingWorker, setWaitingWorker] = useState(null); // Service worker of a newer build, installed and ready
+  const [scanMode, setScanMode] = useState('SELL'); // 'SELL' or 'RETURN'
+  const [showPaymentModal, setShowPaymentModal] = useState(false);
+  const [tenders, setTenders] = useState([]); // [{ method: 'Cash' | 'UPI' | 'Card', amount }]
+  const [customerDraft, setCustomerDraft] = useState(null); // { name, phone, city } captured at checkout, null if skipped
+  const [showResetModal, setShowResetModal] = useState(false); // Reset confirmation state
+  const [extraDiscount, setExtraDiscount] = useState(0); 
+  const [discountRules, setDiscountRules] = useState([]); // Automatic offers, applied in order
+  const [discountRuleForm, setDiscountRuleForm] = useState(null); // Offer being created or edited
+  const [minMarginPercent, setMinMarginPercent] = useState(0); // Checkout needs the owner below cost plus this margin
+  const [priceOverrideKey, setPriceOverrideKey] = useState(null); // The below-floor cart lines the owner approved
+  const [itemToDelete, setItemToDelete] = useState(null); // State for deleting item modal
+  const [returnDraft, setReturnDraft] = useState(null); // Refund being entered for a scanned return
+  const [mergePreview, setMergePreview] = useState(null); // Result of merging a backup, awaiting confirmation
+  const [exhibitionForm, setExhibitionForm] = useState(null); // Exhibition being created or edited
+  const [showAdvancedTools, setShowAdvancedTools] = useState(false); // Dashboard tools toggle
+  
+  // Sales Log State
+  const [salesTimeFilter, setSalesTimeFilter] = useState('today'); // 'today', '7day', 'all'
+  const [salesSearchQuery, setSalesSearchQuery] = useState('');
+  const [expandedGroups, setExpandedGroups] = useState({});
+  
+  // Inventory State
+  const [inventoryFilter, setInventoryFilter] = useState('all'); // 'all', 'available', 'sold'
+  const [shopFilter, setShopFilter] = useState('all'); // Filter by shop name
+  const [attributeFilters, setAttributeFilters] = useState({ fabric: 'all', colour: 'all', design: 'all', blousePiece: 'all', maxPrice: '' });
+  const [breakdownAttribute, setBreakdownAttribute] = useState('fabric'); // Dashboard sales breakdown grouping
+  const [inventorySearch, setInventorySearch] = useState('');
+  const [inventorySort, setInventorySort] = useState('newest');
+  const [inventoryPage, setInventoryPage] = useState(0);
+
+  // Photo States
+  const [pendingPhoto, setPendingPhoto] = useState(null); // { image, thumb, previewURL } for the add-stock form
+  const [photoViewerURL, setPhotoViewerURL] = useState(null); // Full-size photo being shown
+  const [includePhotosInBackup, setIncludePhotosInBackup] = useState(false);
+
+  // Label Designer State
+  const [labelTemplates, setLabelTemplates] = useState(DEFAULT_LABEL_TEMPLATES);
+  const [selectedLabelTemplateId, setSelectedLabelTemplateId] = useState(DEFAULT_LABEL_TEMPLATES[0].id);
+  const [labelExcludedIds, setLabelExcludedIds] = useState({}); // New items unticked for printing
+  const [labelPreviewHTML, setLabelPreviewHTML] = useState('');
+  const [printedLabelIds, setPrintedLabelIds] = useState(null); // Items awaiting the "mark available" prompt
+
+  // Receipt State
+  const [receiptCounter, setReceiptCounter] = useState(0); // Last issued receipt number
+  const [receiptToShow, setReceiptToShow] = useState(null); // Transaction shown in the receipt modal
+
+  // Vendor Settlement States
+  const [settlementShop, setSettlementShop] = useState('');
+  const [settlementPeriod, setSettlementPeriod] = useState({ start: '', end: '' });
+  const [settlementPayment, setSettlementPayment] = useState(null); // { method, note } while confirming "mark as paid"
+  const [settlementToShow, setSettlementToShow] = useState(null); // Past settlement opened from the history
+
+  // Customer Screen States
+  const [customerSearch, setCustomerSearch] = useState('');
+  const [expandedCustomerId, setExpandedCustomerId] = useState(null);
+
+  // Audit Log States
+  const [auditFilter, setAuditFilter] = useState({ action: 'all', period: 'today', query: '' });
+
+  // Sales Log State
+  const [salesFilter, setSalesFilter] = useState('all'); // 'all', 'today', '7days'
+  const [salesSearch, setSalesSearch] = useState('');
+  const [expandedTx, setExpandedTx] = useState({}); // Keep track of expanded transactions
+
+  // Hidden Reset States
+  const [resetPassword, setResetPassword] = useState('');
+  const [passwordError, setPasswordError] = useState('');
+
+  // Access Control States
+  const [pinRecords, setPinRecords] = useState({ owner: null, cashier: null }); // Hashed PINs per role
+  const [currentRole, setCurrentRole] = useState(null); // 'owner' | 'cashier', null while locked
+  const [pinEntry, setPinEntry] = useState({ pin: '', confirm: '', error: '' }); // Lock screen / first-run setup input
+  const [ownerPrompt, setOwnerPrompt] = useState(null); // { title, onApproved, pin, error } awaiting the owner's PIN
+  const [pinChange, setPinChange] = useState(null); // { role, pin, confirm, error } while setting a role's PIN
+  const [priceCipher, setPriceCipher] = useState(DEFAULT_PRICE_CIPHER); // How ASP60 is hidden in generated codes
+  const [cipherForm, setCipherForm] = useState(null); // { scheme, key } being edited
+  const [decoderInput, setDecoderInput] = useState('');
+  const [serialCounters, setSerialCounters] = useState({}); // Shop code -> highest serial ever generated
+  const [addFormShopCode, setAddFormShopCode] = useState(''); // Drives the pre-filled serial on the Add form
+  const [serialOverride, setSerialOverride] = useState(null); // Serial typed over the suggestion, null to use it
+  const [importWizard, setImportWizard] = useState(null); // { fileName, headers, rows, mapping, formatKnown, saveMapping } before anything is added
+  const [importMappings, setImportMappings] = useState({}); // Format key -> { fields: { field: header }, savedAt }
+
+  // Hoisted Camera States
+  const [isCameraActive, setIsCameraActive] = useState(false);
+  const [continuousScan, setContinuousScan] = useState(false); // Keep the camera open and add every tag it sees
+  const [scanSession, setScanSession] = useState([]); // [{ code, ok, at }] read since the camera was opened, newest first
+  const scannerRef = useRef(null);
+  const scanHandlerRef = useRef(null); // Latest handleScanInput, so a long-running camera never adds to a stale cart
+  const wedgeScanRef = useRef(null); // Latest handler for codes typed by a barcode gun
+  const lastScanAtRef = useRef({}); // Code -> last time the camera saw it
+  const persistedRef = useRef(emptyRecordSets()); // Last state written to IndexedDB
+  const contentRef = useRef(null); // Scrolling area under the header; the page itself never scrolls
+
+  // Load data from local offline storage on startup
+  useEffect(() => {
+    const loadData = async () => {
+      try {
+        // Opening the database runs the upgrade that migrates any older array-based data
+        const savedSarees = sortNewestFirst(await getAllRecords('sarees'), s => new Date(s.dateAdded).getTime() || 0);
+        const savedSales = sortNewestFirst(await getAllRecords('sales'), s => getRecordTime(s) || 0);
+        const savedRefunds = sortNewestFirst(await getAllRecords('refunds'), r => getRecordTime(r) || 0);
+        const savedExhibitions = sortNewestFirst(await getAllRecords('exhibitions'), x => new Date(x.startDate || x.createdAt).getTime() || 0);
+        const savedSettlements = sortNewestFirst(await getAllRecords('settlements'), x => new Date(x.paidAt).getTime() || 0);
+        const savedAuditLog = sortNewestFirst(await getAllRecords('auditLog'), x => new Date(x.timestampISO).getTime() || 0);
+        const savedCustomers = await getAllRecords('customers');
+        const savedActiveExhibitionId = await getDBItem('saree_active_exhibition');
+        const savedLabelTemplates = await getDBItem('saree_label_templates');
+        const savedDiscountRules = await getDBItem('saree_discount_rules');
+        const savedMinMargin = await getDBItem('saree_min_margin');
+        const savedHeldCarts = await getDBItem('saree_held_carts');
+        const savedCheckout = await getDBItem('saree_active_checkout');
+        const savedReceiptCounter = await getDBItem('saree_receipt_counter');
+        const savedPinRecords = await getDBItem('saree_pin_records');
+        const savedPriceCipher = await getDBItem('saree_price_cipher');
+        const savedSerialCounters = await getDBItem('saree_serial_counters');
+        const savedImportMappings = await getDBItem('saree_import_mappings');
+
+        // What's on disk now, so the save effect only writes what changes from here
+        persistedRef.current = { sarees: savedSarees, sales: savedSales, refunds: savedRefunds, exhibitions: savedExhibitions, settlements: savedSettlements, auditLog: savedAuditLog, customers: savedCustomers };
+        setSarees(savedSarees);
+        setSales(savedSales);
+        setRefunds(savedRefunds);
+        setExhibitions(savedExhibitions);
+        setSettlements(savedSettlements);
+        setAuditLog(savedAuditLog);
+        setCustomers(savedCustomers);
+        if (savedActiveExhibitionId && savedExhibitions.some(x => x.id === savedActiveExhibitionId)) {
+          setActiveExhibitionId(savedActiveExhibitionId);
+        }
+        if (savedLabelTemplates?.length) setLabelTemplates(savedLabelTemplates);
+        if (savedDiscountRules) setDiscountRules(savedDiscountRules);
+        if (savedMinMargin) setMinMarginPercent(savedMinMargin);
+        if (savedHeldCarts) setHeldCarts(savedHeldCarts);
+        if (savedCheckout?.items?.length) setUnfinishedCheckout(savedCheckout);
+        if (savedReceiptCounter) setReceiptCounter(savedReceiptCounter);
+        if (savedPinRecords) setPinRecords(savedPinRecords);
+        if (savedPriceCipher) setPriceCipher(savedPriceCipher);
+        if (savedSerialCounters) setSerialCounters(savedSerialCounters);
+        if (savedImportMappings) setImportMappings(savedImportMappings);
+      } catch (error) {
+        console.error("Database load error:", error);
+      } finally {
+        setIsDBLoaded(true);
+      }
+    };
+
+    loadData();
+  }, []);
+
+  // Register the offline service worker; a newer build waits until the user chooses to reload
+  useEffect(() => {
+    if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return;
+    navigator.serviceWorker.register(`${import.meta.env.BASE_URL}sw.js`).then(registration => {
+      // Only an update replaces a running worker; the very first install needs no prompt
+      const offerUpdate = (worker) => {
+        if (worker && navigator.serviceWorker.controller) setWaitingWorker(worker);
+      };
+      offerUpdate(registration.waiting);
+      registration.addEventListener('updatefound', () => {
+        const worker = registration.installing;
+        worker.addEventListener('statechange', () => {
+          if (worker.state === 'installed') offerUpdate(worker);
+        });
+      });
+    }).catch(err => console.error("Service worker registration error:", err));
+  }, []);
+
+  // Save only the records that changed to IndexedDB, in one transaction
+  useEffect(() => {
+    if (!isDBLoaded) return;
+    const next = { sarees, sales, refunds, exhibitions, settlements, auditLog, customers };
+    const changes = Object.fromEntries(
+      Object.keys(next).map(storeName => [storeName, diffRecords(persistedRef.current[storeName], next[storeName])])
+    );
+    const previous = persistedRef.current;
+    persistedRef.current = next;
+    applyRecordChanges(changes).catch(err => {
+      console.error("Database save error:", err);
+      showNotification('Could not save changes to this device!', 'error');
+      // Nothing in the transaction landed: go back to the last saved copy of the stores it
+      // touched, so the next save diffs against that and writes these records again
+      const failedStores = Object.keys(changes).filter(name => changes[name].puts.length || changes[name].deletes.length);
+      persistedRef.current = { ...persistedRef.current, ...Object.fromEntries(failedStores.map(name => [name, previous[name]])) };
+    });
+  }, [sarees, sales, refunds, exhibitions, settlements, auditLog, customers, isDBLoaded]);
+
+  useEffect(() => {
+    if (isDBLoaded) {
+      setDBItem('saree_active_exhibition', activeExhibitionId);
+    }
+  }, [activeExhibitionId, isDBLoaded]);
+
+  useEffect(() => {
+    if (isDBLoaded) {
+      setDBItem('saree_label_templates', labelTemplates);
+    }
+  }, [labelTemplates, isDBLoaded]);
+
+  useEffect(() => {
+    if (isDBLoaded) {
+      setDBItem('saree_discount_rules', discountRules);
+    }
+  }, [discountRules, isDBLoaded]);
+
+  useEffect(() => {
+    if (isDBLoaded) {
+      setDBItem('saree_min_margin', minMarginPercent);
+    }
+  }, [minMarginPercent, isDBLoaded]);
+
+  useEffect(() => {
+    if (isDBLoaded) {
+      setDBItem('saree_held_carts', heldCarts).catch(err => console.error("Held carts save error:", err));
+    }
+  }, [heldCarts, isDBLoaded]);
+
+  // Keep the cart being rung up on disk so a killed tab doesn't lose the sale.
+  // The one found on startup is left alone until the cashier resumes or discards it;
+  // nothing can go into the cart before then, so there is no live cart to lose meanwhile.
+  useEffect(() => {
+    if (!isDBLoaded || unfinishedCheckout) return;
+    setDBItem('saree_active_checkout', cart.length > 0 ? {
+      items: cart,
+      extraDiscount,
+      tenders,
+      customerDraft,
+      paymentOpen: showPaymentModal,
+      savedAt: new Date().toISOString()
+    } : null).catch(err => console.error("Checkout save error:", err));
+  }, [cart, extraDiscount, tenders, customerDraft, showPaymentModal, unfinishedCheckout, isDBLoaded]);
+
+  // Keep the label sheet preview in sync with the selected template
+  const activeLabelTemplate = labelTemplates.find(t => t.id === selectedLabelTemplateId) || labelTemplates[0];
+  const labelItems = useMemo(
+    () => sarees.filter(s => s.status === 'new' && !labelExcludedIds[s.id]),
+    [sarees, labelExcludedIds]
+  );
+
+  useEffect(() => {
+    if (activeTab !== 'labels') return;
+    let cancelled = false;
+    const sampleCount = activeLabelTemplate.layout === 'roll' ? 1 : activeLabelTemplate.columns * activeLabelTemplate.rows;
+    const sample = labelItems.length > 0
+      ? labelItems.slice(0, sampleCount)
+      : [{ code: 'CKCSZ4241X01a', shopName: 'Sample Shop', mrp: 5999 }];
+    buildLabelSheetHTML(sample, activeLabelTemplate)
+      .then(html => { if (!cancelled) setLabelPreviewHTML(html); })
+      .catch(err => console.error("Label preview error:", err));
+    return () => { cancelled = true; };
+  }, [activeTab, activeLabelTemplate, labelItems]);
+
+  // Handle Tab Switch safely to prevent Camera Crashes
+  const handleTabChange = async (newTab) => {
+    if (activeTab === 'scan' && isCameraActive && scannerRef.current) {
+      try {
+        await scannerRef.current.stop();
+        scannerRef.current.clear();
+      } catch (err) {
+        console.error("Scanner stop error:", err);
+      }
+      setIsCameraActive(false);
+    }
+    setActiveTab(newTab);
+  };
+
+  const showNotification = (message, type = 'success') => {
+    setNotification({ message, type });
+    setTimeout(() => setNotification(null), 3500);
+  };
+
+  // --- BUSINESS LOGIC ---
+
+  // --- AUDIT LOG ---
+
+  // Entries are only ever appended; nothing in the app edits or removes them
+  // approvedBy: 'owner' for actions let through by the owner PIN prompt, whoever is signed in
+  const logAudit = (action, { target = '', before = null, after = null, note = '', approvedBy = null } = {}) => {
+    const entry = {
+      id: Date.now().toString() + Math.random().toString().slice(2, 8),
+      action,
+      target,
+      before,
+      after,
+      note,
+      role: currentRole || 'unknown',
+      approvedBy,
+      timestampISO: new Date().toISOString()
+    };
+    setAuditLog(prev => [entry, ...prev]);
+  };
+
+  // --- PRICE CODE LOGIC ---
+
+  const openCipherForm = () => {
+    requestOwnerApproval('Change price code scheme', () => setCipherForm({ ...priceCipher }));
+  };
+
+  const savePriceCipher = async () => {
+    const cipher = { scheme: cipherForm.scheme, key: cipherForm.key.trim().toUpperCase() };
+    if (cipher.scheme === 'cipher') {
+      const error = validateCipherKey(cipher.key);
+      if (error) {
+        showNotification(error, 'error');
+        return;
+      }
+    }
+    await setDBItem('saree_price_cipher', cipher);
+    setPriceCipher(cipher);
+    // The secret word itself never goes into the log
+    logAudit('PRICE_CODE_CHANGED', {
+      approvedBy: 'owner',
+      before: { scheme: PRICE_CODE_SCHEMES[priceCipher.scheme], wordChanged: cipher.key !== priceCipher.key },
+      after: { scheme: PRICE_CODE_SCHEMES[cipher.scheme] }
+    });
+    setCipherForm(null);
+    showNotification('Price code scheme saved. New stock will use it.');
+  };
+
+  // --- ACCESS CONTROL LOGIC ---
+
+  const isOwner = currentRole === 'owner';
+
+  // First run on this device: the owner picks their PIN and is signed straight in
+  const createOwnerPin = async () => {
+    if (pinEntry.pin.length < PIN_MIN_LENGTH) {
+      setPinEntry({ ...pinEntry, error: `PIN must be at least ${PIN_MIN_LENGTH} digits` });
+      return;
+    }
+    if (pinEntry.pin !== pinEntry.confirm) {
+      setPinEntry({ ...pinEntry, error: 'PINs do not match' });
+      return;
+    }
+    const records = { ...pinRecords, owner: await createPinRecord(pinEntry.pin) };
+    await setDBItem('saree_pin_records', records);
+    setPinRecords(records);
+    setCurrentRole('owner');
+    setPinEntry({ pin: '', confirm: '', error: '' });
+  };
+
+  const unlockWithPin = async () => {
+    const role = (await verifyPin(pinEntry.pin, pinRecords.owner)) ? 'owner'
+      : (await verifyPin(pinEntry.pin, pinRecords.cashier)) ? 'cashier'
+      : null;
+    if (!role) {
+      setPinEntry({ pin: '', confirm: '', error: 'Incorrect PIN' });
+      return;
+    }
+    setCurrentRole(role);
+    setPinEntry({ pin: '', confirm: '', error: '' });
+    showNotification(`Signed in as ${ROLE_LABELS[role]}.`);
+  };
+
+  const lockApp = async () => {
+    await handleTabChange('dashboard');
+    setShowAdvancedTools(false);
+    setCurrentRole(null);
+  };
+
+  // Owner-only actions always ask for the owner PIN again, even if the owner is signed in
+  const requestOwnerApproval = (title, onApproved) => {
+    setOwnerPrompt({ title, onApproved, pin: '', error: '' });
+  };
+
+  const confirmOwnerApproval = async () => {
+    if (!(await verifyPin(ownerPrompt.pin, pinRecords.owner))) {
+      setOwnerPrompt({ ...ownerPrompt, pin: '', error: 'Incorrect owner PIN' });
+      return;
+    }
+    const { onApproved } = ownerPrompt;
+    setOwnerPrompt(null);
+    onApproved();
+  };
+
+  const openPinChange = (role) => {
+    requestOwnerApproval(`Change ${ROLE_LABELS[role]} PIN`, () => setPinChange({ role, pin: '', confirm: '', error: '' }));
+  };
+
+  const savePinChange = async () => {
+    if (pinChange.pin.length < PIN_MIN_LENGTH) {
+      setPinChange({ ...pinChange, error: `PIN must be at least ${PIN_MIN_LENGTH} digits` });
+      return;
+    }
+    if (pinChange.pin !== pinChange.confirm) {
+      setPinChange({ ...pinChange, error: 'PINs do not match' });
+      return;
+    }
+    const otherRole = pinChange.role === 'owner' ? 'cashier' : 'owner';
+    if (await verifyPin(pinChange.pin, pinRecords[otherRole])) {
+      setPinChange({ ...pinChange, error: `Already used as the ${ROLE_LABELS[otherRole]} PIN` });
+      return;
+    }
+    const records = { ...pinRecords, [pinChange.role]: await createPinRecord(pinChange.pin) };
+    await setDBItem('saree_pin_records', records);
+    setPinRecords(records);
+    showNotification(`${ROLE_LABELS[pinChange.role]} PIN saved.`);
+    setPinChange(null);
+  };
+
+  const removeCashierPin = () => {
+    requestOwnerApproval('Remove Cashier PIN', async () => {
+      const records = { ...pinRecords, cashier: null };
+      await setDBItem('saree_pin_records', records);
+      setPinRecords(records);
+      showNotification('Cashier PIN removed.');
+    });
+  };
+
+  const openFactoryReset = () => {
+    setShowResetModal(true);
+    setResetPassword('');
+    setPasswordError('');
+  };
+
+  const performFactoryReset = async () => {
+    logAudit('FACTORY_RESET', {
+      approvedBy: 'owner',
+      before: { sarees: sarees.length, sales: sales.length, refunds: refunds.length, exhibitions: exhibitions.length, settlements: settlements.length, customers: customers.length }
+    });
+    // Clear state (the audit log is kept so the reset itself stays on record)
+    setSarees([]);
+    setSales([]);
+    setRefunds([]);
+    setExhibitions([]);
+    setActiveExhibitionId(null);
+    setSettlements([]);
+    setCustomers([]);
+    setCart([]);
+    setHeldCarts([]);
+    setUnfinishedCheckout(null);
+    setExtraDiscount(0);
+    setSalesSearchQuery('');
+    setExpandedGroups({});
+    setShowAdvancedTools(false);
+    // Clear databases
+    persistedRef.current = { ...emptyRecordSets(), auditLog: persistedRef.current.auditLog };
+    await clearRecordStores(Object.keys(RECORD_STORES).filter(storeName => storeName !== 'auditLog'));
+    await clearPhotos();
+    Array.from(thumbURLCache.keys()).forEach(forgetPhotoURL);
+    localStorage.removeItem('saree_inventory');
+    localStorage.removeItem('saree_sales');
+    
+    setShowResetModal(false);
+    showNotification('All inventory and sales data cleared successfully.', 'success');
+  };
+
+  // --- DEVICE SYNC LOGIC ---
+
+  const handleExportBackup = async () => {
+    if (sarees.length === 0 && sales.length === 0) {
+      showNotification('No data to backup!', 'error');
+      return;
+    }
+
+    // Photos make the file much larger, so they're only included when asked for
+    let photos;
+    if (includePhotosInBackup) {
+      try {
+        const usedPhotoIds = new Set(sarees.map(s => s.photoId).filter(Boolean));
+        photos = await Promise.all((await getAllPhotos())
+          .filter(photo => usedPhotoIds.has(photo.id))
+          .map(async photo => ({ ...photo, image: await blobToDataURL(photo.image), thumb: await blobToDataURL(photo.thumb) })));
+      } catch (err) {
+        console.error("Photo export error:", err);
+        showNotification('Could not read photos for the backup.', 'error');
+        return;
+      }
+    }
+
+    const backupData = {
+      sarees: sarees,
+      sales: sales,
+      refunds: refunds,
+      exhibitions: exhibitions,
+      settlements: settlements,
+      auditLog: auditLog,
+      customers: customers,
+      ...(photos ? { photos } : {}),
+      exportDate: new Date().toISOString()
+    };
+    
+    const dataURL = URL.createObjectURL(new Blob([JSON.stringify(backupData)], { type: 'application/json' }));
+    const downloadAnchorNode = document.createElement('a');
+    downloadAnchorNode.setAttribute("href", dataURL);
+    downloadAnchorNode.setAttribute("download", `SareeApp_FullBackup_${new Date().toLocaleDateString().replace(/\//g, '-')}.json`);
+    document.body.appendChild(downloadAnchorNode);
+    downloadAnchorNode.click();
+    downloadAnchorNode.remove();
+    URL.revokeObjectURL(dataURL);
+    showNotification(photos ? `Full backup with ${photos.length} photos exported successfully!` : 'Full database backup exported successfully!');
+  };
+
+  const handleRestoreBackup = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = (event) => {
+      try {
+        const backupData = JSON.parse(event.target.result);
+        
+        // Validate it's our backup file
+        if (backupData && Array.isArray(backupData.sarees) && Array.isArray(backupData.sales)) {
+          requestOwnerApproval('Replace all data with this backup', async () => {
+            // Photos go in before the records so thumbnails find them on first render;
+            // the replaced data's photos are cleared rather than left orphaned
+            let photosRestored = false;
+            try {
+              await clearPhotos();
+              Array.from(thumbURLCache.keys()).forEach(forgetPhotoURL);
+              photosRestored = await importBackupPhotos(backupData.photos);
+            } catch (err) {
+              console.error("Photo clear error:", err);
+            }
+            setSarees(backupData.sarees);
+            setSales(backupData.sales);
+            setRefunds(Array.isArray(backupData.refunds) ? backupData.refunds : []);
+            setExhibitions(Array.isArray(backupData.exhibitions) ? backupData.exhibitions : []);
+            setSettlements(Array.isArray(backupData.settlements) ? backupData.settlements : []);
+            setCustomers(Array.isArray(backupData.customers) ? backupData.customers : []);
+            setActiveExhibitionId(null);
+            // Replacing data never replaces history: keep our trail and add the backup's
+            if (Array.isArray(backupData.auditLog)) {
+              setAuditLog(prev => sortNewestFirst(mergeRecordsById(prev, backupData.auditLog).merged, x => new Date(x.timestampISO).getTime() || 0));
+            }
+            logAudit('BACKUP_RESTORED', {
+              approvedBy: 'owner',
+              target: file.name,
+              before: { sarees: sarees.length, sales: sales.length },
+              after: { sarees: backupData.sarees.length, sales: backupData.sales.length }
+            });
+            showNotification(
+              photosRestored ? 'Database fully restored from backup!' : 'Database restored, but some photos could not be restored.',
+              photosRestored ? 'success' : 'error'
+            );
           });
-          addedCount++;
+        } else {
+          showNotification('Invalid backup file format.', 'error');
         }
+      } catch (err) {
+        showNotification('Failed to read the backup file.', 'error');
+      }
+    };
+    reader.readAsText(file);
+    e.target.value = ''; // reset input
+  };
+
+  // Merge another device's backup into this one instead of replacing it
+  const handleMergeBackup = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = (event) => {
+      try {
+        const backupData = JSON.parse(event.target.result);
 
-        if (addedCount > 0) {
-          setSarees(prev => [...newSarees, ...prev]);
-          showNotification(`Imported ${addedCount} items. (${duplicateCount} duplicates skipped)`);
+        if (backupData && Array.isArray(backupData.sarees) && Array.isArray(backupData.sales)) {
+          const result = mergeBackupData(
+            { sarees, sales, refunds, exhibitions, settlements, auditLog, customers },
+            {
+              sarees: backupData.sarees,
+              sales: backupData.sales,
+              refunds: Array.isArray(backupData.refunds) ? backupData.refunds : [],
+              exhibitions: Array.isArray(backupData.exhibitions) ? backupData.exhibitions : [],
+              settlements: Array.isArray(backupData.settlements) ? backupData.settlements : [],
+              auditLog: Array.isArray(backupData.auditLog) ? backupData.auditLog : [],
+              customers: Array.isArray(backupData.customers) ? backupData.customers : []
+            }
+          );
+          setMergePreview({ fileName: file.name, exportDate: backupData.exportDate, photos: backupData.photos || [], ...result });
         } else {
-          showNotification(`No items imported. ${duplicateCount} duplicates found.`, 'error');
+          showNotification('Invalid backup file format.', 'error');
         }
       } catch (err) {
-        showNotification('Error reading file. Ensure valid CSV.', 'error');
+        console.error("Merge error:", err);
+        showNotification('Failed to read the backup file.', 'error');
       }
     };
     reader.readAsText(file);
-    e.target.value = ''; 
+    e.target.value = ''; // reset input
+  };
+
+  const applyMergePreview = () => {
+    requestOwnerApproval('Merge this backup into the device', () => applyMergeResult(mergePreview));
   };
 
-  const exportToCSV = (data, filename) => {
-    if (data.length === 0) {
-      showNotification('No data available to export!', 'error');
-      return;
-    }
+  const applyMergeResult = async (result) => {
+    const photosMerged = await importBackupPhotos(result.photos);
+    setSarees(result.sarees);
+    setSales(result.sales);
+    setRefunds(result.refunds);
+    setExhibitions(result.exhibitions);
+    setSettlements(result.settlements);
+    setAuditLog(result.auditLog);
+    setCustomers(result.customers);
+    logAudit('BACKUP_MERGED', {
+      approvedBy: 'owner',
+      target: result.fileName,
+      after: { newSarees: result.summary.newSarees, newSales: result.summary.newSales, newRefunds: result.summary.newRefunds }
+    });
+    const { doubleSold } = result.summary;
+    const warnings = [
+      doubleSold.length > 0 && `${doubleSold.length} double-sold item(s) need checking!`,
+      !photosMerged && 'Some photos could not be restored.'
+    ].filter(Boolean);
+    showNotification(
+      warnings.length > 0 ? `Merged. ${warnings.join(' ')}` : 'Backup merged successfully!',
+      warnings.length > 0 ? 'error' : 'success'
+    );
+    setMergePreview(null);
+  };
+
+  // --- PHOTO LOGIC ---
+
+  const handlePhotoSelected = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const [image, thumb] = await Promise.all([compressImage(file, PHOTO_MAX_SIZE), compressImage(file, THUMB_MAX_SIZE, 0.7)]);
+      if (pendingPhoto) URL.revokeObjectURL(pendingPhoto.previewURL);
+      setPendingPhoto({ image, thumb, previewURL: URL.createObjectURL(thumb) });
+    } catch (err) {
+      console.error("Photo error:", err);
+      showNotification('Could not read that photo.', 'error');
+    }
+  };
+
+  const clearPendingPhoto = () => {
+    if (pendingPhoto) URL.revokeObjectURL(pendingPhoto.previewURL);
+    setPendingPhoto(null);
+  };
+
+  const openPhotoViewer = async (photoId) => {
+    try {
+      const photo = await getPhoto(photoId);
+      if (photo) setPhotoViewerURL(URL.createObjectURL(photo.image));
+    } catch (err) {
+      console.error("Photo load error:", err);
+    }
+  };
+
+  const closePhotoViewer = () => {
+    URL.revokeObjectURL(photoViewerURL);
+    setPhotoViewerURL(null);
+  };
+
+  // Pieces added together share one photo, so only remove it once nothing points at it
+  const removePhotoIfUnused = (photoId, remainingSarees) => {
+    if (!photoId || remainingSarees.some(s => s.photoId === photoId)) return;
+    forgetPhotoURL(photoId);
+    deletePhoto(photoId).catch(err => console.error("Photo delete error:", err));
+  };
+
+  // Backups carry photos as data URLs; write them straight to the photo store.
+  // Resolves false if any failed, so the caller can say so once the records are in
+  const importBackupPhotos = async (photos) => {
+    if (!Array.isArray(photos) || photos.length === 0) return true;
+    try {
+      for (const photo of photos) {
+        forgetPhotoURL(photo.id);
+        await putPhoto({ ...photo, image: await dataURLToBlob(photo.image), thumb: await dataURLToBlob(photo.thumb) });
+      }
+      return true;
+    } catch (err) {
+      console.error("Photo import error:", err);
+      return false;
+    }
+  };
+
+  const handleAddSaree = async (e) => {
+    e.preventDefault();
+    const form = e.target;
+    const formData = new FormData(form);
+    
+    const shopName = formData.get('shopName') || 'Unknown Shop';
+    const shopCode = (formData.get('shopCode') || 'N/A').toUpperCase();
+    const cp = parseFloat(formData.get('cp')) || 0;
+    const mrp = parseFloat(formData.get('mrp')) || 0;
+    const asp60 = parseFloat(formData.get('asp60')) || 0;
+    const quantity = parseInt(formData.get('quantity')) || 1;
+    const typedSerial = String(formData.get('serialNo') || '').trim() || getNextSerial(sarees, shopCode, serialCounters[shopCode]);
+    const attributes = {
+      ...Object.fromEntries(SAREE_TEXT_ATTRIBUTES.map(({ key }) => [key, normalizeAttributeValue(formData.get(key))])),
+      length: parseFloat(formData.get('length')) || null,
+      blousePiece: parseBlousePiece(formData.get('blousePiece'))
+    };
+    
+    if (!/^\d+$/.test(typedSerial)) {
+      showNotification('Serial No. must be digits only.', 'error');
+      return;
+    }
+    // "1" and "01" are the same serial; pad like getNextSerial so the code comes out the same way
+    const serialNo = String(parseInt(typedSerial, 10)).padStart(2, '0');
+
+    const photoId = pendingPhoto ? Date.now().toString() + Math.random().toString().slice(2, 8) : null;
+    const codes = Array.from({ length: quantity }, (_, i) => buildSareeCode(shopCode, asp60, serialNo, getPieceSuffix(i), priceCipher));
+
+    // A reused serial clashes with tags already printed (or imported); refuse rather than skip pieces.
+    // Serials are compared as numbers per shop, whatever the padding or price part of the code
+    const clash = sarees.find(s => {
+      const parsed = parseSareeCode(s.code, DEFAULT_PRICE_CIPHER);
+      return parsed && parsed.shopCode === toCodeKey(shopCode) && parseInt(parsed.serialNo, 10) === parseInt(serialNo, 10);
+    });
+    if (clash) {
+      showNotification(`${clash.code} already uses serial ${serialNo}. Next free serial for ${shopCode} is ${getNextSerial(sarees, shopCode, serialCounters[shopCode])}.`, 'error');
+      return;
+    }
+
+    const newSarees = codes.map(code => ({
+      id: Date.now().toString() + Math.random().toString().slice(2, 8),
+      code: code,
+      shopName: shopName,
+      shopCode: shopCode,
+      ...attributes,
+      photoId: photoId,
+      cp: cp,
+      mrp: mrp,
+      asp60: asp60,
+      status: 'new',
+      exhibitionId: activeExhibitionId,
+      dateAdded: new Date().toISOString()
+    }));
+
+    if (photoId) {
+      try {
+        await putPhoto({ id: photoId, image: pendingPhoto.image, thumb: pendingPhoto.thumb, createdAt: new Date().toISOString() });
+      } catch (err) {
+        console.error("Photo save error:", err);
+        showNotification('Photo could not be saved; items added without it.', 'error');
+        newSarees.forEach(s => { s.photoId = null; });
+      }
+      clearPendingPhoto();
+    }
+    setSarees(prev => [...newSarees, ...prev]);
+    logAudit('ITEM_ADDED', {
+      target: newSarees.map(s => s.code).join(' '),
+      after: { shop: shopName, count: newSarees.length, cp, mrp: newSarees[0].mrp, asp60: newSarees[0].asp60, fabric: attributes.fabric, colour: attributes.colour }
+    });
+    const counters = { ...serialCounters, [shopCode]: Math.max(serialCounters[shopCode] || 0, parseInt(serialNo, 10)) };
+    setSerialCounters(counters);
+    setDBItem('saree_serial_counters', counters);
+    showNotification(`Added ${newSarees.length} items successfully!`);
+    form.reset();
+    setAddFormShopCode('');
+    setSerialOverride(null);
+  };
+
+  const findSareeByCode = (code) => sarees.find(s => toCodeKey(s.code) === toCodeKey(code));
+
+  const handleScanInput = (codeToScan) => {
+    if (!codeToScan) return false;
+    codeToScan = codeToScan.trim().toUpperCase();
+
+    if (scanMode === 'SELL') {
+      return addToCart(codeToScan);
+    } else {
+      return processReturn(codeToScan);
+    }
+  };
+
+  // A barcode gun scan from anywhere in the app goes to the till, unless something else needs finishing first
+  const handleWedgeScan = (code) => {
+    if (!currentRole || showPaymentModal || returnDraft || ownerPrompt || isCameraActive) return;
+    if (activeTab !== 'scan') handleTabChange('scan');
+    playScanFeedback(handleScanInput(code));
+  };
+
+  useEffect(() => {
+    scanHandlerRef.current = handleScanInput;
+    wedgeScanRef.current = handleWedgeScan;
+  });
+
+  // Listen for keyboard-wedge scanner bursts outside of text fields (those get the keys as typed)
+  useEffect(() => {
+    let buffer = '';
+    let lastKeyAt = 0;
+    const onKeyDown = (e) => {
+      const target = e.target;
+      if (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)) return;
+      if (e.timeStamp - lastKeyAt > WEDGE_MAX_KEY_GAP_MS) buffer = '';
+      lastKeyAt = e.timeStamp;
+
+      if (e.key === 'Enter') {
+        if (buffer.length >= WEDGE_MIN_LENGTH) {
+          e.preventDefault();
+          wedgeScanRef.current(buffer);
+        }
+        buffer = '';
+      } else if (e.key.length === 1 && !e.ctrlKey && !e.metaKey && !e.altKey) {
+        buffer += e.key;
+      }
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, []);
+
+  const addToCart = (codeToScan) => {
+    if (unfinishedCheckout) {
+      showNotification('Resume or discard the unfinished sale first.', 'error');
+      return false;
+    }
+    const saree = findSareeByCode(codeToScan);
+    
+    if (!saree) {
+      showNotification(`Code ${codeToScan} not found in inventory!`, 'error');
+      return false;
+    }
+    if (saree.status === 'sold') {
+      showNotification(`Alert: ${codeToScan} is already SOLD!`, 'error');
+      return false;
+    }
+    if (cart.some(item => item.saree.code === saree.code)) {
+      showNotification(`${codeToScan} is already in the cart!`, 'error');
+      return false;
+    }
+    const holdingCart = heldCarts.find(held => held.items.some(item => item.saree.code === saree.code));
+    if (holdingCart) {
+      showNotification(`${codeToScan} is held for ${holdingCart.label}!`, 'error');
+      return false;
+    }
+
+    // Add to cart with default selection as MRP. The camera can decode two codes before the next
+    // render, so build on the latest cart rather than this render's copy, and re-check it for repeats
+    setCart(prev => prev.some(item => item.saree.code === saree.code) ? prev : [...prev, { 
+      saree, 
+      selection: 'MRP', 
+      customPrice: saree.mrp || '' 
+    }]);
+    
+    showNotification(`Added ${codeToScan} to Cart.`, 'success');
+    return true;
+  };
+
+  const processReturn = (codeToScan) => {
+    const saree = findSareeByCode(codeToScan);
+    
+    if (!saree) {
+      showNotification(`Code ${codeToScan} not found in inventory!`, 'error');
+      return false;
+    }
+    if (saree.status !== 'sold') {
+      showNotification(`${codeToScan} is not sold, nothing to return.`, 'error');
+      return false;
+    }
+
+    // Latest sale of this piece that hasn't been refunded yet (sales are stored newest first).
+    // Without one there is no price to cap the refund at, and no profit to take back
+    const sale = sales.find(s => s.sareeCode === saree.code && !refunds.some(r => r.saleId === s.id));
+    if (!sale) {
+      showNotification(`No open sale found for ${codeToScan}, cannot refund it.`, 'error');
+      return false;
+    }
+
+    setReturnDraft({
+      saree,
+      sale,
+      refundAmount: sale.salePrice || 0,
+      reason: REFUND_REASONS[0],
+      note: '',
+      refundMethod: PAYMENT_METHODS.includes(sale.paymentMethod) ? sale.paymentMethod : 'Cash'
+    });
+    return true;
+  };
+
+  const confirmReturn = () => {
+    const { saree, sale, refundAmount, reason, note, refundMethod } = returnDraft;
+    const amount = parseFloat(refundAmount) || 0;
+
+    if (amount < 0 || amount > (sale.salePrice || 0)) {
+      showNotification('Refund cannot be more than the sale price.', 'error');
+      return;
+    }
+
+    const refund = {
+      id: Date.now().toString() + Math.random().toString().slice(2, 8),
+      saleId: sale.id,
+      transactionId: getTransactionId(sale),
+      receiptNo: sale.receiptNo || null,
+      sareeCode: saree.code,
+      cp: sale.cp ?? saree.cp ?? 0,
+      salePrice: sale.salePrice || 0,
+      refundAmount: amount,
+      reason: note.trim() ? `${reason}: ${note.trim()}` : reason,
+      refundMethod: refundMethod,
+      // Counted against the show that made the sale, not the one the customer came back to
+      exhibitionId: sale.exhibitionId ?? activeExhibitionId,
+      refundDate: new Date().toLocaleString(),
+      timestampISO: new Date().toISOString()
+    };
+
+    // Mark as available; the original sale stays in the log and is offset by the refund
+    setSarees(sarees.map(s => s.id === saree.id ? { ...s, status: 'available' } : s));
+    setRefunds([refund, ...refunds]);
+    logAudit('RETURN_PROCESSED', {
+      target: saree.code,
+      before: { status: saree.status, salePrice: sale.salePrice, receipt: sale.receiptNo },
+      after: { status: 'available', refund: amount, via: refundMethod },
+      note: refund.reason
+    });
+    setReturnDraft(null);
+    showNotification(`Return Successful! ${saree.code} is back in inventory.`, 'success');
+  };
+
+  const updateCartItemPrice = (index, selection, customVal = '') => {
+    const newCart = [...cart];
+    newCart[index].selection = selection;
+    if (selection === 'CUSTOM') {
+      newCart[index].customPrice = customVal;
+    }
+    setCart(newCart);
+  };
+
+  const removeCartItem = (index) => {
+    const newCart = [...cart];
+    newCart.splice(index, 1);
+    setCart(newCart);
+  };
+
+  // --- HELD CARTS ---
+
+  // First "Customer N" not already used by a held cart
+  const getNextHoldLabel = () => {
+    let n = 1;
+    while (heldCarts.some(h => h.label === `Customer ${n}`)) n++;
+    return `Customer ${n}`;
+  };
+
+  const openHoldCart = () => {
+    setHoldCartLabel(getNextHoldLabel());
+  };
+
+  // Parks the current cart (items stay reserved) and starts a fresh one
+  const holdCurrentCart = (label = holdCartLabel) => {
+    if (cart.length === 0) return null;
+    const held = {
+      id: Date.now().toString() + Math.random().toString().slice(2, 8),
+      label: label.trim() || getNextHoldLabel(),
+      items: cart,
+      extraDiscount,
+      heldAt: new Date().toISOString()
+    };
+    setCart([]);
+    setExtraDiscount(0);
+    setPriceOverrideKey(null);
+    setHoldCartLabel(null);
+    return held;
+  };
+
+  const confirmHoldCart = () => {
+    const held = holdCurrentCart();
+    if (!held) return;
+    setHeldCarts([...heldCarts, held]);
+    showNotification(`Cart held for ${held.label}.`);
+  };
+
+  // Brings a held cart back; anything already in the cart is held in its place
+  const resumeHeldCart = (heldId) => {
+    if (unfinishedCheckout) {
+      showNotification('Resume or discard the unfinished sale first.', 'error');
+      return;
+    }
+    const held = heldCarts.find(h => h.id === heldId);
+    const parked = holdCurrentCart(getNextHoldLabel());
+    setHeldCarts([...heldCarts.filter(h => h.id !== heldId), ...(parked ? [parked] : [])]);
+    // Pick up any price or detail edits made to the pieces while they were parked, and leave out
+    // pieces deleted or sold since so the stale saved copy can't be sold a second time
+    const items = held.items
+      .map(item => ({ ...item, saree: sarees.find(s => s.code === item.saree.code) }))
+      .filter(item => item.saree && item.saree.status !== 'sold');
+    const dropped = held.items.filter(item => !items.some(kept => kept.saree.code === item.saree.code)).map(item => item.saree.code);
+    setCart(items);
+    setExtraDiscount(held.extraDiscount || 0);
+    const resumed = parked ? `Resumed ${held.label}. Previous cart held as ${parked.label}.` : `Resumed ${held.label}.`;
+    showNotification(dropped.length > 0 ? `${resumed} No longer available, left out: ${dropped.join(', ')}.` : resumed, dropped.length > 0 ? 'error' : 'success');
+  };
+
+  // Brings back the cart that was open when the app last closed, minus pieces sold or held since
+  const resumeUnfinishedCheckout = () => {
+    const items = unfinishedCheckout.items
+      .map(item => ({ ...item, saree: sarees.find(s => s.code === item.saree.code) }))
+      .filter(item => item.saree && item.saree.status !== 'sold' && !heldCarts.some(held => held.items.some(h => h.saree.code === item.saree.code)));
+    const parked = holdCurrentCart(getNextHoldLabel());
+    if (parked) setHeldCarts([...heldCarts, parked]);
+    setCart(items);
+    setExtraDiscount(unfinishedCheckout.extraDiscount || 0);
+    setTenders(unfinishedCheckout.tenders || []);
+    setCustomerDraft(unfinishedCheckout.customerDraft || null);
+    setShowPaymentModal(!!unfinishedCheckout.paymentOpen && items.length === unfinishedCheckout.items.length);
+    setUnfinishedCheckout(null);
+    handleTabChange('scan');
+    setScanMode('SELL');
+    const dropped = unfinishedCheckout.items.length - items.length;
+    showNotification(dropped > 0 ? `Cart resumed. ${dropped} item(s) no longer available were left out.` : 'Cart resumed.', dropped > 0 ? 'error' : 'success');
+  };
+
+  const discardUnfinishedCheckout = () => {
+    setUnfinishedCheckout(null);
+    showNotification('Unfinished cart discarded.');
+  };
+
+  const discardHeldCart = (heldId) => {
+    const held = heldCarts.find(h => h.id === heldId);
+    setHeldCarts(heldCarts.filter(h => h.id !== heldId));
+    showNotification(`${held.label}'s cart discarded. ${held.items.length} item(s) released.`);
+  };
+
+  const getCartItemListPrice = (item) => {
+    if (item.selection === 'MRP') return item.saree.mrp || 0;
+    if (item.selection === 'ASP60') return item.saree.asp60 || 0;
+    return parseFloat(item.customPrice) || 0;
+  };
+
+  const getCartSubtotal = () => {
+    return cart.reduce((total, item) => total + getCartItemListPrice(item), 0);
+  };
+
+  // Cart lines with offers taken off first, then the extra discount spread proportionally (used for sale rows and receipts)
+  const getCartLineItems = () => {
+    const listPrices = cart.map(getCartItemListPrice);
+    const offers = applyDiscountRules(discountRules, cart.map((item, i) => ({ saree: item.saree, listPrice: listPrices[i] })));
+    const offerPrices = listPrices.map((price, i) => price - offers[i].amount);
+    const subtotal = offerPrices.reduce((sum, p) => sum + p, 0);
+    const safeDiscount = Math.min(Math.max(0, parseFloat(extraDiscount) || 0), subtotal);
+    const discountShares = allocateProportionally(safeDiscount, offerPrices);
+
+    return cart.map((item, i) => ({
+      ...item,
+      listPrice: listPrices[i],
+      offerDiscount: offers[i].amount,
+      discountRules: offers[i].rules,
+      discountShare: discountShares[i],
+      finalPrice: Math.round(offerPrices[i] - discountShares[i])
+    }));
+  };
+
+  // The cart view's lines, and each offer applying to them with the total it takes off
+  const cartLines = getCartLineItems();
+  const cartOffers = Object.values(cartLines.reduce((offers, item) => {
+    item.discountRules.forEach(rule => {
+      offers[rule.id] = { id: rule.id, name: rule.name, amount: (offers[rule.id]?.amount || 0) + rule.amount };
+    });
+    return offers;
+  }, {}));
+
+  // Summed from the discounted lines so it always matches what the sale rows record
+  const getCartFinalTotal = () => {
+    return getCartLineItems().reduce((total, item) => total + item.finalPrice, 0);
+  };
+
+  const getTendersTotal = () => {
+    return tenders.reduce((total, t) => total + (parseFloat(t.amount) || 0), 0);
+  };
+
+  // Lines whose price after offers and discount falls under cost plus the minimum margin
+  const getBelowFloorLines = (lines) => lines.filter(item => item.finalPrice < getPriceFloor(item.saree, minMarginPercent));
+
+  // An approval covers these exact lines at these exact prices; any cart change needs a fresh one
+  const getPriceOverrideKey = (lines) => getBelowFloorLines(lines).map(item => `${item.saree.code}:${item.finalPrice}`).join('|');
+  const needsPriceOverride = getBelowFloorLines(cartLines).length > 0 && getPriceOverrideKey(cartLines) !== priceOverrideKey;
+
+  const startCheckout = () => {
+    // A negative discount would mark the price up and slip past the price floor check
+    if ((parseFloat(extraDiscount) || 0) < 0) {
+      showNotification('Extra discount cannot be negative.', 'error');
+      return;
+    }
+    if (!needsPriceOverride) {
+      openPaymentModal();
+      return;
+    }
+    requestOwnerApproval(`Sell ${getBelowFloorLines(cartLines).length} item(s) below the price floor`, () => {
+      setPriceOverrideKey(getPriceOverrideKey(cartLines));
+      openPaymentModal();
+    });
+  };
+
+  const openPaymentModal = () => {
+    setTenders([{ method: 'UPI', amount: getCartFinalTotal() }]);
+    setCustomerDraft(null);
+    setShowPaymentModal(true);
+  };
+
+  // --- CUSTOMER LOGIC ---
+
+  // Known customers whose number contains what has been typed so far
+  const getCustomerMatches = (phone) => {
+    const digits = normalizePhone(phone);
+    if (digits.length < 3) return [];
+    return customers.filter(c => c.phone && c.phone.includes(digits)).slice(0, 3);
+  };
+
+  const updateCustomerDraft = (field, value) => {
+    const draft = { ...customerDraft, [field]: value };
+    // A full number that we already know fills in the rest of the details
+    if (field === 'phone' && normalizePhone(value).length === 10) {
+      const known = customers.find(c => c.phone === normalizePhone(value));
+      if (known) {
+        draft.name = draft.name || known.name;
+        draft.city = draft.city || known.city;
+      }
+    }
+    setCustomerDraft(draft);
+  };
+
+  // Creates or updates the customer from the checkout form and returns their id (null if none given)
+  const saveCustomerFromDraft = () => {
+    if (!customerDraft) return null;
+    const phone = normalizePhone(customerDraft.phone);
+    const name = customerDraft.name.trim();
+    const city = customerDraft.city.trim();
+    if (!phone && !name) return null;
+
+    const existing = phone
+      ? customers.find(c => c.phone === phone)
+      : customers.find(c => !c.phone && c.name.toLowerCase() === name.toLowerCase());
+    if (existing) {
+      if ((name && name !== existing.name) || (city && city !== existing.city)) {
+        setCustomers(prev => prev.map(c => c.id === existing.id ? { ...c, name: name || c.name, city: city || c.city, updatedAt: new Date().toISOString() } : c));
+      }
+      return existing.id;
+    }
+
+    const customer = {
+      id: Date.now().toString() + Math.random().toString().slice(2, 8),
+      name,
+      phone,
+      city,
+      createdAt: new Date().toISOString()
+    };
+    setCustomers(prev => [customer, ...prev]);
+    return customer.id;
+  };
+
+  const exportCustomersCSV = () => {
+    const stats = summarizeCustomers(sales, refunds);
+    exportToCSV(customers.map(c => ({
+      name: c.name,
+      phone: c.phone,
+      city: c.city || '',
+      visits: stats[c.id]?.transactions.length || 0,
+      itemsBought: stats[c.id]?.itemsBought || 0,
+      totalSpend: stats[c.id]?.totalSpend || 0,
+      lastVisit: stats[c.id] ? new Date(stats[c.id].lastVisit).toLocaleDateString() : ''
+    })), 'Customers');
+  };
+
+  const payFullAmountWith = (method) => {
+    setTenders([{ method, amount: getCartFinalTotal() }]);
+  };
+
+  const addTender = () => {
+    const unused = PAYMENT_METHODS.find(m => !tenders.some(t => t.method === m)) || 'Cash';
+    setTenders([...tenders, { method: unused, amount: Math.max(0, getCartFinalTotal() - getTendersTotal()) }]);
+  };
+
+  const updateTender = (index, field, value) => {
+    setTenders(tenders.map((t, i) => i === index ? { ...t, [field]: value } : t));
+  };
+
+  const removeTender = (index) => {
+    const remaining = tenders.filter((_, i) => i !== index);
+    // Back to a single tender: it has to cover the whole amount again
+    if (remaining.length === 1) remaining[0] = { ...remaining[0], amount: getCartFinalTotal() };
+    setTenders(remaining);
+  };
+
+  const completeSaleTransaction = () => {
+    if (cart.length === 0) return;
+    if (customerDraft?.phone && normalizePhone(customerDraft.phone).length !== 10) {
+      showNotification('Enter a 10 digit phone number or leave it blank.', 'error');
+      return;
+    }
+
+    const updatedSarees = [...sarees];
+    const newSales = [];
+    const timestamp = new Date().toLocaleString();
+    const timestampISO = new Date().toISOString();
+    const transactionId = Date.now().toString() + Math.random().toString().slice(2, 8);
+    const nextReceiptCounter = receiptCounter + 1;
+    const receiptNo = formatReceiptNo(nextReceiptCounter);
+
+    // A refund hiding inside a split (UPI -100, Cash +100 over) would leave rows that don't add up to the bill
+    if (tenders.some(t => (parseFloat(t.amount) || 0) < 0) || getTendersTotal() !== getCartFinalTotal()) {
+      showNotification('Payments must be positive and add up to the bill total.', 'error');
+      return;
+    }
+
+    // Merge repeated methods (e.g. two cash tenders) before spreading them over the items
+    const mergedTenders = PAYMENT_METHODS
+      .map(method => ({ method, amount: tenders.filter(t => t.method === method).reduce((sum, t) => sum + (parseFloat(t.amount) || 0), 0) }))
+      .filter(t => t.amount > 0);
+    const paymentMethod = mergedTenders.length > 1 ? 'Split' : (mergedTenders[0]?.method || tenders[0]?.method || 'Cash');
+    const lineItems = getCartLineItems();
+    if (getBelowFloorLines(lineItems).length > 0 && getPriceOverrideKey(lineItems) !== priceOverrideKey) {
+      showNotification('Items below the price floor need owner approval.', 'error');
+      return;
+    }
+    const itemPayments = splitTendersAcrossItems(mergedTenders, lineItems.map(item => item.finalPrice));
+    const customerId = saveCustomerFromDraft();
+
+    lineItems.forEach((cartItem, i) => {
+      const sIdx = updatedSarees.findIndex(s => s.code === cartItem.saree.code);
+      if (sIdx > -1) {
+        updatedSarees[sIdx] = { ...updatedSarees[sIdx], status: 'sold' };
+      }
+
+      // Discount is already distributed proportionally to calculate accurate item profit
+      let finalPrice = cartItem.finalPrice;
+      let cp = cartItem.saree.cp || 0;
+      let profit = finalPrice - cp;
+      const priceFloor = getPriceFloor(cartItem.saree, minMarginPercent);
+
+      newSales.push({
+        id: Date.now().toString() + Math.random().toString().slice(2, 8),
+        transactionId: transactionId,
+        receiptNo: receiptNo,
+        sareeCode: cartItem.saree.code,
+        cp: cp,
+        priceTier: cartItem.selection,
+        listPrice: cartItem.listPrice,
+        offerDiscount: cartItem.offerDiscount,
+        discountRules: cartItem.discountRules,
+        discountShare: cartItem.discountShare,
+        salePrice: finalPrice,
+        profit: profit,
+        paymentMethod: paymentMethod,
+        payments: itemPayments[i],
+        ...(finalPrice < priceFloor ? { priceOverride: { priceFloor, minMarginPercent, approvedAtISO: timestampISO } } : {}),
+        exhibitionId: activeExhibitionId,
+        customerId: customerId,
+        saleDate: timestamp,
+        timestampISO: timestampISO
+      });
+    });
+
+    // Price overrides and discounts are recorded once they reach a real sale, not while the cart is edited
+    lineItems.filter(item => item.selection === 'CUSTOM').forEach(item => {
+      logAudit('CUSTOM_PRICE', {
+        target: item.saree.code,
+        before: { mrp: item.saree.mrp, asp60: item.saree.asp60 },
+        after: { price: item.listPrice },
+        note: receiptNo
+      });
+    });
+    newSales.filter(sale => sale.priceOverride).forEach(sale => {
+      logAudit('PRICE_OVERRIDE', {
+        approvedBy: 'owner',
+        target: sale.sareeCode,
+        before: { cp: sale.cp, floor: sale.priceOverride.priceFloor },
+        after: { price: sale.salePrice, profit: sale.profit },
+        note: receiptNo
+      });
+    });
+    if (extraDiscount > 0) {
+      logAudit('EXTRA_DISCOUNT', {
+        target: receiptNo,
+        before: { subtotal: getCartSubtotal() - lineItems.reduce((sum, item) => sum + item.offerDiscount, 0) },
+        after: { discount: extraDiscount, total: getCartFinalTotal() }
+      });
+    }
+    logAudit('SALE_COMPLETED', {
+      target: receiptNo,
+      after: { items: newSales.length, offers: newSales.reduce((sum, sale) => sum + sale.offerDiscount, 0), total: newSales.reduce((sum, sale) => sum + sale.salePrice, 0), payment: paymentMethod }
+    });
+
+    setSarees(updatedSarees);
+    setSales([...newSales, ...sales]);
+    setReceiptCounter(nextReceiptCounter);
+    setDBItem('saree_receipt_counter', nextReceiptCounter);
+    setCart([]); 
+    setExtraDiscount(0);
+    setPriceOverrideKey(null);
+    setShowPaymentModal(false);
+    setTenders([]);
+    setCustomerDraft(null);
+    setReceiptToShow(buildTransactionFromSales(newSales));
+    showNotification(`Sale Completed! ${cart.length} items sold.`);
+  };
+
+  // --- DISCOUNT RULE LOGIC ---
+
+  const saveDiscountRule = () => {
+    const rule = { ...discountRuleForm, name: discountRuleForm.name.trim(), attributeValue: discountRuleForm.attributeValue.trim() };
+    const value = parseFloat(rule.value) || 0;
+    if (!rule.name) {
+      showNotification('Give the offer a name for the receipt.', 'error');
+      return;
+    }
+    if (value <= 0 || (rule.type === 'percent' && value > 100)) {
+      showNotification(rule.type === 'percent' ? 'Percentage must be between 1 and 100.' : 'Enter the rupees to take off.', 'error');
+      return;
+    }
+    if (rule.attributeKey && !rule.attributeValue) {
+      showNotification(`Enter the ${SAREE_ATTRIBUTE_LABELS[rule.attributeKey].toLowerCase()} this offer is for.`, 'error');
+      return;
+    }
+    if (parseFloat(rule.minPrice) && parseFloat(rule.maxPrice) && parseFloat(rule.maxPrice) < parseFloat(rule.minPrice)) {
+      showNotification('Max item price cannot be below the min.', 'error');
+      return;
+    }
+
+    const existing = discountRules.find(r => r.id === rule.id);
+    setDiscountRules(existing ? discountRules.map(r => r.id === rule.id ? rule : r) : [...discountRules, rule]);
+    logAudit('DISCOUNT_RULE_CHANGED', {
+      target: rule.name,
+      before: existing ? { offer: describeDiscountRule(existing), active: existing.active } : null,
+      after: { offer: describeDiscountRule(rule), active: rule.active }
+    });
+    setDiscountRuleForm(null);
+    showNotification(`${rule.name} ${existing ? 'updated' : 'added'}.`);
+  };
+
+  const toggleDiscountRule = (ruleId) => {
+    const rule = discountRules.find(r => r.id === ruleId);
+    setDiscountRules(discountRules.map(r => r.id === ruleId ? { ...r, active: !r.active } : r));
+    logAudit('DISCOUNT_RULE_CHANGED', { target: rule.name, before: { active: rule.active }, after: { active: !rule.active } });
+  };
+
+  // Past sales keep the offer's name on their rows, so deleting only stops it applying from now on
+  const deleteDiscountRule = (ruleId) => {
+    const rule = discountRules.find(r => r.id === ruleId);
+    setDiscountRules(discountRules.filter(r => r.id !== ruleId));
+    logAudit('DISCOUNT_RULE_CHANGED', { target: rule.name, before: { offer: describeDiscountRule(rule), active: rule.active }, note: 'Deleted' });
+    showNotification(`${rule.name} deleted.`);
+  };
+
+  const updateMinMargin = (value) => {
+    const next = Math.max(0, parseFloat(value) || 0);
+    if (next === minMarginPercent) return;
+    logAudit('MIN_MARGIN_CHANGED', { before: { percent: minMarginPercent }, after: { percent: next } });
+    setMinMarginPercent(next);
+    showNotification(next ? `Sales under cost + ${next}% now need owner approval.` : 'Sales under cost now need owner approval.');
+  };
+
+  // --- RECEIPT LOGIC ---
+
+  const printReceipt = (tx) => {
+    printHTML(buildReceiptHTML(tx));
+  };
+
+  const downloadReceiptPDF = (tx) => {
+    try {
+      buildReceiptPDF(tx).save(`Receipt_${tx.receiptNo !== '-' ? tx.receiptNo : tx.id}.pdf`);
+    } catch (err) {
+      console.error("Receipt PDF error:", err);
+      showNotification('Could not create the receipt PDF.', 'error');
+    }
+  };
+
+  const togglePaymentMethod = (transactionId) => {
+    const txSales = sales.filter(sale => getTransactionId(sale) === transactionId);
+    if (txSales.some(sale => sale.paymentMethod === 'Split')) {
+      showNotification('Split payments cannot be switched.', 'error');
+      return;
+    }
+    // Cycle Cash -> UPI -> Card for single-method transactions
+    const current = PAYMENT_METHODS.indexOf(txSales[0]?.paymentMethod || 'Cash');
+    const nextMethod = PAYMENT_METHODS[(current + 1) % PAYMENT_METHODS.length];
+
+    requestOwnerApproval(`Change payment to ${nextMethod}`, () => {
+      logAudit('PAYMENT_METHOD_CHANGED', {
+        approvedBy: 'owner',
+        target: txSales[0]?.receiptNo || transactionId,
+        before: { method: txSales[0]?.paymentMethod || 'Cash' },
+        after: { method: nextMethod }
+      });
+      setSales(prev => prev.map(sale => {
+        if (getTransactionId(sale) === transactionId) {
+          return {
+            ...sale,
+            paymentMethod: nextMethod,
+            payments: { [nextMethod]: sale.salePrice || 0 }
+          };
+        }
+        return sale;
+      }));
+      showNotification('Payment method updated.');
+    });
+  };
+
+  // The new build takes over once the waiting worker activates, then the page reloads onto it
+  const applyAppUpdate = () => {
+    navigator.serviceWorker.addEventListener('controllerchange', () => window.location.reload(), { once: true });
+    waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+  };
+
+  // --- CAMERA SCANNER LOGIC ---
+
+  const startCameraScanner = () => {
+    // Returns open a form per item, so only selling keeps the camera running
+    const continuous = continuousScan && scanMode === 'SELL';
+    setIsCameraActive(true);
+    setScanSession([]);
+    lastScanAtRef.current = {};
+    
+    setTimeout(() => {
+      const html5QrCode = new Html5Qrcode("reader");
+      scannerRef.current = html5QrCode;
+      
+      // Force the camera to display as a square (aspectRatio: 1.0)
+      html5QrCode.start(
+        { facingMode: "environment" }, 
+        { fps: 10, qrbox: { width: 250, height: 250 }, aspectRatio: 1.0 },
+        (decodedText) => {
+          // The decoder fires on every frame the tag is in view; only the first sighting counts
+          const code = decodedText.trim().toUpperCase();
+          const now = Date.now();
+          const lastSeen = lastScanAtRef.current[code];
+          lastScanAtRef.current[code] = now;
+          if (lastSeen && now - lastSeen < SCAN_REPEAT_DELAY_MS) return;
+
+          const ok = scanHandlerRef.current(code);
+          playScanFeedback(ok);
+          if (continuous) {
+            setScanSession(prev => [{ code, ok, at: now }, ...prev]);
+          } else {
+            stopCameraScanner();
+          }
+        },
+        () => { } // Frames without a readable code are normal while aiming
+      ).catch(err => {
+        console.error("Camera Error:", err);
+        showNotification("Could not access camera.", "error");
+        setIsCameraActive(false);
+      });
+    }, 100);
+  };
+
+  const stopCameraScanner = () => {
+    if (scannerRef.current) {
+      scannerRef.current.stop().then(() => {
+        scannerRef.current.clear();
+        setIsCameraActive(false);
+      }).catch(console.error);
+    } else {
+      setIsCameraActive(false);
+    }
+  };
+
+
+  const parseCSV = (csvText) => {
+    const rows = [];
+    let currentRow = [];
+    let currentCell = '';
+    let insideQuotes = false;
+  
+    for (let i = 0; i < csvText.length; i++) {
+      const char = csvText[i];
+      const nextChar = csvText[i + 1];
+  
+      if (char === '"') {
+        if (insideQuotes && nextChar === '"') {
+          // It's an escaped quote ("") inside a quoted string
+          currentCell += '"';
+          i++; // Skip the next quote
+        } else {
+          // Toggle the insideQuotes flag
+          insideQuotes = !insideQuotes;
+        }
+      } else if (char === ',' && !insideQuotes) {
+        // End of the current cell
+        currentRow.push(currentCell.trim());
+        currentCell = '';
+      } else if ((char === '\n' || char === '\r') && !insideQuotes) {
+        // End of the current row
+        if (char === '\r' && nextChar === '\n') {
+          i++; // Skip the \n if it's \r\n
+        }
+        currentRow.push(currentCell.trim());
+        rows.push(currentRow);
+        currentRow = [];
+        currentCell = '';
+      } else {
+        // Any other character
+        currentCell += char;
+      }
+    }
+  
+    // Add the very last cell and row if not empty
+    if (currentCell !== '' || currentRow.length > 0) {
+      currentRow.push(currentCell.trim());
+      rows.push(currentRow);
+    }
+  
+    // Optional: Filter out empty rows (e.g., trailing newlines)
+    return rows.filter(row => !isBlankImportRow(row));
+  };
+
+  const handleFileUpload = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    e.target.value = '';
+
+    try {
+      let rows;
+      if (/\.xlsx$/i.test(file.name)) {
+        // Vendors sometimes leave a blank cover sheet first, so take the first sheet with items on it
+        const workbook = await readExcelFile(file);
+        rows = workbook.map(sheet => sheet.data.filter(row => !isBlankImportRow(row))).find(sheetRows => sheetRows.length > 1) || [];
+      } else {
+        rows = parseCSV(await file.text());
+      }
+      if (rows.length < 2) {
+        showNotification('Error: File has no item rows.', 'error');
+        return;
+      }
+      openImportWizard(file.name, rows);
+    } catch (err) {
+      console.error("Stock file read error:", err);
+      showNotification('Error reading file. Ensure a valid CSV or .xlsx file.', 'error');
+    }
+  };
+
+  // A format seen before gets its saved mapping back; anything else starts from a guess
+  const openImportWizard = (fileName, rows) => {
+    const headers = rows[0].map(h => String(h ?? '').trim());
+    const saved = importMappings[getImportFormatKey(headers)];
+    const mapping = saved
+      ? Object.fromEntries(IMPORT_FIELDS.map(field => [field.key, headers.indexOf(saved.fields[field.key])]))
+      : guessImportMapping(headers);
+    setImportWizard({ fileName, headers, rows: rows.slice(1), mapping, formatKnown: !!saved, saveMapping: true });
+  };
+
+  const getImportResults = () => validateImportRows(importWizard.rows, importWizard.mapping, sarees.map(s => s.code), priceCipher);
+
+  const confirmImport = async () => {
+    const missing = IMPORT_FIELDS.filter(field => field.required && importWizard.mapping[field.key] < 0);
+    if (missing.length > 0) {
+      showNotification(`Map a column for ${missing.map(field => field.label).join(', ')}.`, 'error');
+      return;
+    }
+    const results = getImportResults();
+    const valid = results.filter(result => result.saree);
+    if (valid.length === 0) {
+      showNotification('No valid rows to import.', 'error');
+      return;
+    }
+
+    const dateAdded = new Date().toISOString();
+    const newSarees = valid.map(result => ({
+      id: Date.now().toString() + Math.random().toString().slice(2, 8),
+      ...result.saree,
+      exhibitionId: activeExhibitionId,
+      dateAdded
+    }));
+    setSarees(prev => [...newSarees, ...prev]);
+
+    if (importWizard.saveMapping) {
+      const mappings = {
+        ...importMappings,
+        [getImportFormatKey(importWizard.headers)]: {
+          fields: Object.fromEntries(IMPORT_FIELDS.map(field => [field.key, importWizard.headers[importWizard.mapping[field.key]] ?? null])),
+          savedAt: dateAdded
+        }
+      };
+      setImportMappings(mappings);
+      await setDBItem('saree_import_mappings', mappings);
+    }
+
+    const skipped = results.length - valid.length;
+    logAudit('ITEMS_IMPORTED', { target: importWizard.fileName, after: { added: newSarees.length, invalidSkipped: skipped } });
+    showNotification(`Imported ${newSarees.length} items.${skipped > 0 ? ` (${skipped} invalid rows skipped)` : ''}`);
+    setImportWizard(null);
+  };
+
+  const exportToCSV = (data, filename) => {
+    if (data.length === 0) {
+      showNotification('No data available to export!', 'error');
+      return;
+    }
+
+    // Older records may lack newer fields, so line every row up against the full set of columns
+    const columns = Array.from(new Set(data.flatMap(obj => Object.keys(obj))));
+    const headers = columns.join(',');
+    const rows = data.map(obj => 
+      columns.map(col => `"${String(obj[col] ?? '').replace(/"/g, '""')}"`).join(',')
+    );
+    
+    const csvContent = [headers, ...rows].join('\n');
+    const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
+    const url = URL.createObjectURL(blob);
+    
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${filename}_${new Date().toLocaleDateString().replace(/\//g, '-')}.csv`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+    
+    showNotification(`${filename} downloaded successfully!`);
+  };
+
+  // Inventory, bills and a per-shop summary in one workbook for the accountant
+  const exportExcelWorkbook = async () => {
+    if (sarees.length === 0 && sales.length === 0) {
+      showNotification('No data available to export!', 'error');
+      return;
+    }
+    try {
+      await writeExcelFile([
+        buildInventorySheet(sarees),
+        buildSalesSheet(sales, refunds),
+        buildShopSummarySheet(sarees, sales, refunds)
+      ]).toFile(`Saree_Accounts_${new Date().toLocaleDateString().replace(/\//g, '-')}.xlsx`);
+      showNotification('Excel workbook downloaded successfully!');
+    } catch (err) {
+      console.error("Excel export error:", err);
+      showNotification('Could not create the Excel file.', 'error');
+    }
+  };
+
+  const exportNewLabelsCSV = () => {
+    const newSarees = sarees.filter(s => s.status === 'new');
+    
+    if (newSarees.length === 0) {
+      showNotification('No new items to export for labels!', 'error');
+      return;
+    }
+
+    // Map to required format
+    const labelData = newSarees.map(s => ({
+      Product_Code: s.code,
+      MRP: s.mrp
+    }));
+
+    exportToCSV(labelData, 'New_Labels_Print');
+  };
+
+  // --- LABEL DESIGNER LOGIC ---
+
+  const openLabelDesigner = () => {
+    setLabelExcludedIds({});
+    handleTabChange('labels');
+  };
+
+  const updateLabelTemplate = (field, value) => {
+    setLabelTemplates(prev => prev.map(t => t.id === activeLabelTemplate.id ? { ...t, [field]: value } : t));
+  };
+
+  const duplicateLabelTemplate = () => {
+    const copy = {
+      ...activeLabelTemplate,
+      id: Date.now().toString() + Math.random().toString().slice(2, 8),
+      name: `${activeLabelTemplate.name} (Copy)`,
+      custom: true
+    };
+    setLabelTemplates(prev => [...prev, copy]);
+    setSelectedLabelTemplateId(copy.id);
+  };
+
+  const deleteLabelTemplate = () => {
+    setLabelTemplates(prev => prev.filter(t => t.id !== activeLabelTemplate.id));
+    setSelectedLabelTemplateId(DEFAULT_LABEL_TEMPLATES[0].id);
+  };
+
+  const handlePrintLabels = async () => {
+    if (labelItems.length === 0) {
+      showNotification('No new items selected for labels!', 'error');
+      return;
+    }
+    try {
+      const html = await buildLabelSheetHTML(labelItems, activeLabelTemplate);
+      printHTML(html);
+      setPrintedLabelIds(labelItems.map(s => s.id));
+    } catch (err) {
+      console.error("Label print error:", err);
+      showNotification('Could not generate labels.', 'error');
+    }
+  };
+
+  const markPrintedLabelsAvailable = () => {
+    const printed = new Set(printedLabelIds);
+    setSarees(prev => prev.map(s => printed.has(s.id) && s.status === 'new' ? { ...s, status: 'available' } : s));
+    logAudit('ITEMS_MARKED_AVAILABLE', { target: 'Printed labels', before: { status: 'new' }, after: { status: 'available', count: printed.size } });
+    showNotification(`${printed.size} labelled items marked as Available!`);
+    setPrintedLabelIds(null);
+  };
+
+  // Flatten the per-row tender split into one column per payment method
+  const exportSalesCSV = () => {
+    const salesData = sales.map(sale => {
+      const payments = getSalePayments(sale);
+      return {
+        id: sale.id,
+        transactionId: getTransactionId(sale),
+        receiptNo: sale.receiptNo || '',
+        sareeCode: sale.sareeCode,
+        cp: sale.cp ?? '',
+        priceTier: sale.priceTier || '',
+        listPrice: sale.listPrice ?? sale.salePrice,
+        offerDiscount: sale.offerDiscount || 0,
+        offers: (sale.discountRules || []).map(rule => rule.name).join('; '),
+        discountShare: sale.discountShare || 0,
+        salePrice: sale.salePrice,
+        profit: sale.profit ?? '',
+        priceOverride: sale.priceOverride ? `Approved below ₹${sale.priceOverride.priceFloor}` : '',
+        paymentMethod: sale.paymentMethod || 'Cash',
+        ...Object.fromEntries(PAYMENT_METHODS.map(method => [`${method.toLowerCase()}Amount`, payments[method] || 0])),
+        saleDate: sale.saleDate,
+        timestampISO: sale.timestampISO || ''
+      };
+    });
+
+    exportToCSV(salesData, 'Sales_Log');
+  };
+
+  const exportAvailableStockCSV = () => {
+    // Export both available and new stock
+    const availableSarees = sarees.filter(s => s.status === 'available' || s.status === 'new');
+    
+    if (availableSarees.length === 0) {
+      showNotification('No available items to export!', 'error');
+      return;
+    }
+
+    exportToCSV(availableSarees, 'Available_Inventory');
+  };
+
+  // --- VENDOR SETTLEMENT LOGIC ---
+
+  // Each new statement picks up the day after the shop was last settled
+  const openSettlements = (shopName = '') => {
+    const lastSettlement = settlements.find(x => x.shopName === shopName);
+    const nextStart = lastSettlement?.periodEnd
+      ? new Date(new Date(`${lastSettlement.periodEnd}T00:00:00`).getTime() + 86400000).toLocaleDateString('en-CA')
+      : '';
+    setSettlementShop(shopName);
+    setSettlementPeriod({ start: nextStart, end: new Date().toLocaleDateString('en-CA') });
+    setSettlementPayment(null);
+    setSettlementToShow(null);
+    handleTabChange('settlements');
+  };
+
+  const currentSettlement = settlementShop
+    ? buildSettlementStatement({
+      shopName: settlementShop,
+      periodStart: settlementPeriod.start,
+      periodEnd: settlementPeriod.end,
+      sarees, sales, refunds, settlements
+    })
+    : null;
+
+  const markSettlementPaid = () => {
+    const statement = currentSettlement;
+    if (statement.soldItems.length === 0 && statement.returnedItems.length === 0) {
+      showNotification('Nothing to settle for this period.', 'error');
+      return;
+    }
+    const settlement = {
+      ...statement,
+      id: Date.now().toString() + Math.random().toString().slice(2, 8),
+      paidMethod: settlementPayment.method,
+      note: settlementPayment.note.trim(),
+      paidAt: new Date().toISOString()
+    };
+    setSettlementPayment(null);
+    requestOwnerApproval(`Pay ₹${statement.totals.amountPayable.toLocaleString()} to ${statement.shopName}`, () => {
+      setSettlements(prev => [settlement, ...prev]);
+      logAudit('SETTLEMENT_PAID', {
+        approvedBy: 'owner',
+        target: statement.shopName,
+        after: { amount: statement.totals.amountPayable, sold: statement.soldItems.length, via: settlement.paidMethod },
+        note: settlement.note
+      });
+      showNotification(`₹${statement.totals.amountPayable.toLocaleString()} settled with ${statement.shopName}.`);
+    });
+  };
+
+  const exportSettlementCSV = (statement) => {
+    exportToCSV(buildSettlementCSVRows(statement), `Settlement_${statement.shopName.replace(/[^a-z0-9]+/gi, '_')}`);
+  };
+
+  const downloadSettlementPDF = (statement) => {
+    try {
+      buildSettlementPDF(statement).save(`Settlement_${statement.shopName.replace(/[^a-z0-9]+/gi, '_')}_${statement.periodEnd || 'to_date'}.pdf`);
+    } catch (err) {
+      console.error("Settlement PDF error:", err);
+      showNotification('Could not create the settlement PDF.', 'error');
+    }
+  };
+
+  // --- EXHIBITION LOGIC ---
+
+  const activeExhibition = exhibitions.find(x => x.id === activeExhibitionId) || null;
+  const isShowScoped = !!activeExhibition && exhibitionScope === 'active';
+  const inExhibitionScope = (record) => !isShowScoped || record.exhibitionId === activeExhibitionId;
+
+  // Views show only the active show's stock and sales unless "All Shows" is picked
+  const scopedSarees = isShowScoped ? sarees.filter(inExhibitionScope) : sarees;
+  const scopedSales = isShowScoped ? sales.filter(inExhibitionScope) : sales;
+  const scopedRefunds = isShowScoped ? refunds.filter(inExhibitionScope) : refunds;
+
+  // Apply Inventory, Shop, Attribute and Search Filters, only when the stock or the query changes
+  const inventorySortKey = INVENTORY_SORTS[inventorySort]?.ownerOnly && !isOwner ? 'newest' : inventorySort;
+  const filteredSarees = useMemo(() => {
+    const maxPrice = parseFloat(attributeFilters.maxPrice) || 0;
+    const searchTerms = inventorySearch.trim().toLowerCase().split(/\s+/).filter(Boolean);
+    const matches = sarees.filter(s => {
+      const scopeMatch = !isShowScoped || s.exhibitionId === activeExhibitionId;
+      const statusMatch = inventoryFilter === 'all' ? true : s.status === inventoryFilter;
+      const shopMatch = shopFilter === 'all' ? true : s.shopName === shopFilter;
+      const attributeMatch = ['fabric', 'colour', 'design', 'blousePiece']
+        .every(key => attributeFilters[key] === 'all' || getSareeAttributeValue(s, key) === attributeFilters[key]);
+      const priceMatch = !maxPrice || (s.mrp || 0) <= maxPrice;
+      return scopeMatch && statusMatch && shopMatch && attributeMatch && priceMatch && matchesInventorySearch(s, searchTerms);
+    });
+    return sortInventory(matches, inventorySortKey);
+  }, [sarees, isShowScoped, activeExhibitionId, inventoryFilter, shopFilter, attributeFilters, inventorySearch, inventorySortKey]);
+
+  const openExhibitionForm = (exhibition = null) => {
+    const today = new Date().toISOString().slice(0, 10);
+    setExhibitionForm(exhibition ? { ...exhibition } : { name: '', city: '', venue: '', startDate: today, endDate: today });
+  };
+
+  const saveExhibition = () => {
+    const name = exhibitionForm.name.trim();
+    if (!name) {
+      showNotification('Exhibition name is required.', 'error');
+      return;
+    }
+    if (exhibitionForm.startDate && exhibitionForm.endDate && exhibitionForm.endDate < exhibitionForm.startDate) {
+      showNotification('End date cannot be before the start date.', 'error');
+      return;
+    }
+
+    if (exhibitionForm.id) {
+      setExhibitions(exhibitions.map(x => x.id === exhibitionForm.id ? { ...exhibitionForm, name } : x));
+      showNotification(`${name} updated.`);
+    } else {
+      const exhibition = {
+        ...exhibitionForm,
+        name,
+        id: Date.now().toString() + Math.random().toString().slice(2, 8),
+        createdAt: new Date().toISOString()
+      };
+      setExhibitions([exhibition, ...exhibitions]);
+      setActiveExhibitionId(exhibition.id);
+      setExhibitionScope('active');
+      showNotification(`${name} created and set as the active show.`);
+    }
+    setExhibitionForm(null);
+  };
+
+  const switchActiveExhibition = (exhibitionId) => {
+    setActiveExhibitionId(exhibitionId);
+    setExhibitionScope('active');
+    const exhibition = exhibitions.find(x => x.id === exhibitionId);
+    showNotification(exhibition ? `Now selling at ${exhibition.name}.` : 'No active exhibition.');
+  };
+
+  const deleteExhibition = (exhibitionId) => {
+    if (sales.some(s => s.exhibitionId === exhibitionId) || refunds.some(r => r.exhibitionId === exhibitionId)) {
+      showNotification('This exhibition has sales or returns and cannot be deleted.', 'error');
+      return;
+    }
+    setExhibitions(exhibitions.filter(x => x.id !== exhibitionId));
+    setSarees(sarees.map(s => s.exhibitionId === exhibitionId ? { ...s, exhibitionId: null } : s));
+    if (activeExhibitionId === exhibitionId) setActiveExhibitionId(null);
+    showNotification('Exhibition deleted.');
+  };
+
+  // Unsold pieces travel with us, so carry them over to the show we're at now
+  const moveUnsoldStockToActiveExhibition = () => {
+    let movedCount = 0;
+    setSarees(sarees.map(s => {
+      if (s.status === 'sold' || s.exhibitionId === activeExhibitionId) return s;
+      movedCount++;
+      return { ...s, exhibitionId: activeExhibitionId };
+    }));
+    showNotification(`${movedCount} unsold items moved to ${activeExhibition.name}.`);
+  };
+
+  // --- UI RENDER FUNCTIONS ---
+
+  const renderExhibitionScopeToggle = () => {
+    if (!activeExhibition) return null;
+    return (
+      <div className="flex bg-gray-200 p-1.5 rounded-lg shrink-0 shadow-inner">
+        <button onClick={() => setExhibitionScope('active')} className={`flex-1 py-2 px-2 text-sm font-bold rounded-md transition-colors truncate ${exhibitionScope === 'active' ? 'bg-white text-blue-800 shadow-sm' : 'text-gray-600'}`}>
+          {activeExhibition.name}
+        </button>
+        <button onClick={() => setExhibitionScope('all')} className={`flex-1 py-2 px-2 text-sm font-bold rounded-md transition-colors ${exhibitionScope === 'all' ? 'bg-white text-gray-900 shadow-sm' : 'text-gray-600'}`}>
+          All Shows
+        </button>
+      </div>
+    );
+  };
+
+  const renderCustomersView = () => {
+    const stats = summarizeCustomers(sales, refunds);
+    const q = customerSearch.trim().toLowerCase();
+    const digits = normalizePhone(customerSearch);
+    const list = sortNewestFirst(
+      customers.filter(c => !q || c.name.toLowerCase().includes(q) || (c.city || '').toLowerCase().includes(q) || (digits && c.phone.includes(digits))),
+      c => stats[c.id]?.lastVisit || new Date(c.createdAt).getTime() || 0
+    );
+
+    return (
+      <div className="space-y-4 flex-1 w-full pb-5">
+        <div className="flex items-center gap-3 mb-3">
+          <button onClick={() => handleTabChange('dashboard')} className="p-2 bg-white border border-gray-300 rounded-lg text-gray-700">
+            <ArrowLeft size={22} />
+          </button>
+          <h2 className="text-2xl font-bold text-gray-900">Customers</h2>
+          <span className="ml-auto text-sm font-bold text-gray-500">{customers.length}</span>
+        </div>
+
+        <div className="relative">
+          <Search size={20} className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" />
+          <input
+            type="text"
+            value={customerSearch}
+            onChange={(e) => setCustomerSearch(e.target.value)}
+            placeholder="Search name, phone or city..."
+            className="w-full p-3 pl-10 bg-white text-gray-900 border border-gray-300 rounded-lg outline-none text-base"
+          />
+        </div>
+        <button onClick={exportCustomersCSV} className="w-full bg-green-50 text-green-800 border border-green-300 font-semibold py-3 rounded-lg hover:bg-green-100 transition-colors text-sm flex justify-center items-center gap-2">
+          <Download size={18} /> Export Broadcast List (CSV)
+        </button>
+
+        {list.length === 0 ? (
+          <div className="bg-white p-8 rounded-xl border border-gray-200 text-center">
+            <p className="text-gray-600 font-medium text-lg">{customers.length === 0 ? 'No customers yet. Add one at checkout.' : 'No matching customers.'}</p>
+          </div>
+        ) : (
+          <div className="space-y-3">
+            {list.map(c => {
+              const stat = stats[c.id];
+              const isExpanded = expandedCustomerId === c.id;
+              return (
+                <div key={c.id} className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
+                  <div onClick={() => setExpandedCustomerId(isExpanded ? null : c.id)} className="p-4 flex justify-between items-center cursor-pointer hover:bg-gray-50">
+                    <div className="min-w-0">
+                      <p className="font-bold text-gray-900 text-lg truncate">{c.name || 'Unnamed'}</p>
+                      <p className="text-sm text-gray-500"><span className="font-mono">{c.phone || 'No phone'}</span>{c.city && ` · ${c.city}`}</p>
+                      <p className="text-xs text-gray-400 mt-0.5">
+                        {stat ? `${stat.transactions.length} visit(s) · ${stat.itemsBought} item(s) · Last ${new Date(stat.lastVisit).toLocaleDateString()}` : 'No purchases yet'}
+                      </p>
+                    </div>
+                    <div className="flex items-center gap-2 shrink-0">
+                      <p className="font-black text-gray-900 text-lg">₹{(stat?.totalSpend || 0).toLocaleString()}</p>
+                      {isExpanded ? <ChevronUp size={20} className="text-gray-400" /> : <ChevronDown size={20} className="text-gray-400" />}
+                    </div>
+                  </div>
+                  {isExpanded && stat && (
+                    <div className="border-t border-gray-100 divide-y divide-gray-100 bg-gray-50">
+                      {stat.transactions.map(tx => (
+                        <div key={tx.id} className="p-3">
+                          <div className="flex justify-between text-sm">
+                            <span className="text-gray-600">{tx.saleDate}{tx.receiptNo && <span className="font-mono text-gray-400 ml-2">#{tx.receiptNo}</span>}</span>
+                            <span className="font-bold text-gray-900">₹{tx.total.toLocaleString()}</span>
+                          </div>
+                          <p className="text-xs font-mono text-gray-500 mt-1">
+                            {tx.items.map(item => (
+                              <span key={item.sareeCode} className={`mr-2 ${item.refunded ? 'line-through' : ''}`}>{item.sareeCode}</span>
+                            ))}
+                          </p>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  const renderDiscountRulesView = () => {
+    const shops = Array.from(new Set(sarees.map(s => s.shopName))).sort();
+    const form = discountRuleForm;
+    const inputClass = 'w-full p-3 bg-white text-gray-900 border border-gray-300 rounded-lg outline-none text-base';
+
+    return (
+      <div className="space-y-4 flex-1 w-full pb-5">
+        <div className="flex items-center gap-3 mb-3">
+          <button onClick={() => handleTabChange('dashboard')} className="p-2 bg-white border border-gray-300 rounded-lg text-gray-700">
+            <ArrowLeft size={22} />
+          </button>
+          <h2 className="text-2xl font-bold text-gray-900">Offers & Discounts</h2>
+        </div>
+        <p className="text-sm text-gray-600">Active offers apply automatically in the cart. When several match an item they stack, each taken off its list price.</p>
+
+        {/* Price Guard */}
+        <div className="bg-white p-5 rounded-xl shadow-sm border border-red-200">
+          <h3 className="font-bold text-red-900 mb-1 text-lg">Price Floor</h3>
+          <p className="text-sm text-gray-700 mb-3">Items going below cost plus this margin are flagged in the cart and need the owner PIN to check out.</p>
+          <div className="flex items-center gap-2">
+            <span className="text-base font-bold text-gray-700">Min margin on cost</span>
+            <input
+              key={minMarginPercent}
+              type="number"
+              min="0"
+              defaultValue={minMarginPercent || ''}
+              onBlur={(e) => updateMinMargin(e.target.value)}
+              placeholder="0"
+              className="w-24 ml-auto p-2 bg-white text-gray-900 border border-gray-300 rounded-lg text-right font-bold outline-none text-lg"
+            />
+            <span className="text-base font-bold text-gray-700">%</span>
+          </div>
+        </div>
+
+        {/* Create / Edit Form */}
+        {form ? (
+          <div className="bg-white p-5 rounded-xl shadow-sm border border-gray-200 space-y-3">
+            <h3 className="font-bold text-gray-900 text-lg">{discountRules.some(r => r.id === form.id) ? 'Edit Offer' : 'New Offer'}</h3>
+            <input type="text" value={form.name} onChange={(e) => setDiscountRuleForm({ ...form, name: e.target.value })} placeholder="Name on receipt (e.g. Silk Week 10%)" className={inputClass} />
+            <div className="flex gap-3">
+              <select value={form.type} onChange={(e) => setDiscountRuleForm({ ...form, type: e.target.value })} className="w-32 shrink-0 p-3 bg-white border border-gray-300 rounded-lg text-base font-bold text-gray-700 outline-none">
+                {Object.entries(DISCOUNT_RULE_TYPES).map(([type, label]) => (
+                  <option key={type} value={type}>{label}</option>
+                ))}
+              </select>
+              <input type="number" min="0" value={form.value} onChange={(e) => setDiscountRuleForm({ ...form, value: e.target.value })} placeholder={form.type === 'percent' ? 'Percent' : 'Rupees'} className={`${inputClass} flex-1 min-w-0`} />
+            </div>
+
+            <p className="text-xs text-gray-500 font-bold uppercase pt-2">Applies to</p>
+            <select value={form.shopName} onChange={(e) => setDiscountRuleForm({ ...form, shopName: e.target.value })} className={inputClass}>
+              <option value="">All Shops</option>
+              {shops.map(shop => <option key={shop} value={shop}>{shop}</option>)}
+            </select>
+            <div className="flex gap-3">
+              <select value={form.attributeKey} onChange={(e) => setDiscountRuleForm({ ...form, attributeKey: e.target.value })} className="w-32 shrink-0 p-3 bg-white border border-gray-300 rounded-lg text-base text-gray-700 outline-none">
+                <option value="">Any item</option>
+                {SAREE_TEXT_ATTRIBUTES.map(attr => <option key={attr.key} value={attr.key}>{attr.label}</option>)}
+              </select>
+              {form.attributeKey && (
+                <>
+                  <input type="text" list="discount-attribute-options" value={form.attributeValue} onChange={(e) => setDiscountRuleForm({ ...form, attributeValue: e.target.value })} placeholder={SAREE_ATTRIBUTE_LABELS[form.attributeKey]} className={`${inputClass} flex-1 min-w-0`} />
+                  <datalist id="discount-attribute-options">
+                    {SAREE_TEXT_ATTRIBUTES.find(attr => attr.key === form.attributeKey).options.map(option => <option key={option} value={option} />)}
+                  </datalist>
+                </>
+              )}
+            </div>
+            <div className="flex gap-3">
+              <input type="number" min="0" value={form.minPrice} onChange={(e) => setDiscountRuleForm({ ...form, minPrice: e.target.value })} placeholder="Item price from ₹" className={`${inputClass} flex-1 min-w-0`} />
+              <input type="number" min="0" value={form.maxPrice} onChange={(e) => setDiscountRuleForm({ ...form, maxPrice: e.target.value })} placeholder="Item price up to ₹" className={`${inputClass} flex-1 min-w-0`} />
+            </div>
+
+            <p className="text-xs text-gray-500 font-bold uppercase pt-2">Only when the cart has (of these items)</p>
+            <div className="flex gap-3">
+              <input type="number" min="0" value={form.minItems} onChange={(e) => setDiscountRuleForm({ ...form, minItems: e.target.value })} placeholder="Min items" className={`${inputClass} flex-1 min-w-0`} />
+              <input type="number" min="0" value={form.minSubtotal} onChange={(e) => setDiscountRuleForm({ ...form, minSubtotal: e.target.value })} placeholder="Min total ₹" className={`${inputClass} flex-1 min-w-0`} />
+            </div>
+
+            <div className="flex gap-3 pt-2">
+              <button onClick={() => setDiscountRuleForm(null)} className="flex-1 bg-gray-100 text-gray-700 font-bold py-3 rounded-lg hover:bg-gray-200">Cancel</button>
+              <button onClick={saveDiscountRule} className="flex-1 bg-blue-600 text-white font-bold py-3 rounded-lg hover:bg-blue-700">Save</button>
+            </div>
+          </div>
+        ) : (
+          <button onClick={() => setDiscountRuleForm(createDiscountRule())} className="w-full bg-blue-600 text-white font-bold text-lg py-4 rounded-xl hover:bg-blue-700 flex justify-center items-center gap-2 shadow-md">
+            <PlusCircle size={22} /> New Offer
+          </button>
+        )}
+
+        {discountRules.length === 0 ? (
+          <div className="bg-white p-8 rounded-xl border border-gray-200 text-center">
+            <p className="text-gray-600 font-medium text-lg">No offers yet.</p>
+          </div>
+        ) : (
+          <div className="space-y-3">
+            {discountRules.map(rule => (
+              <div key={rule.id} className={`bg-white p-4 rounded-xl border shadow-sm ${rule.active ? 'border-green-300' : 'border-gray-200 opacity-70'}`}>
+                <div className="flex justify-between items-start gap-2">
+                  <div className="min-w-0">
+                    <p className="font-bold text-gray-900 text-lg truncate">{rule.name}</p>
+                    <p className="text-sm text-gray-600">{describeDiscountRule(rule)}</p>
+                  </div>
+                  <button onClick={() => toggleDiscountRule(rule.id)} className={`text-xs px-3 py-1.5 rounded-lg font-bold shrink-0 ${rule.active ? 'bg-green-100 text-green-800' : 'bg-gray-200 text-gray-700'}`}>
+                    {rule.active ? 'ON' : 'OFF'}
+                  </button>
+                </div>
+                <div className="flex gap-2 mt-3">
+                  <button onClick={() => setDiscountRuleForm({ ...rule })} className="flex-1 bg-gray-100 text-gray-700 text-sm font-semibold py-2 rounded-lg hover:bg-gray-200">Edit</button>
+                  <button onClick={() => deleteDiscountRule(rule.id)} className="flex-1 bg-red-50 text-red-700 text-sm font-semibold py-2 rounded-lg hover:bg-red-100">Delete</button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  const renderPriceCodesView = () => {
+    const parsed = decoderInput.trim() ? parseSareeCode(decoderInput, priceCipher) : null;
+    // Any piece from the same shop tells us the shop's name, even when this tag isn't on the device
+    const knownItem = parsed && sarees.find(s => s.code.toUpperCase() === decoderInput.trim().toUpperCase());
+    const shopItem = parsed && sarees.find(s => s.shopCode === parsed.shopCode);
+    const exampleCode = buildSareeCode('CKC', 1424, '01', 'a', priceCipher);
+
+    return (
+      <div className="space-y-4 flex-1 w-full pb-5">
+        <div className="flex items-center gap-3 mb-3">
+          <button onClick={() => handleTabChange('dashboard')} className="p-2 bg-white border border-gray-300 rounded-lg text-gray-700">
+            <ArrowLeft size={22} />
+          </button>
+          <h2 className="text-2xl font-bold text-gray-900">Price Codes</h2>
+        </div>
+
+        {/* Decoder */}
+        <div className="bg-white p-5 rounded-xl shadow-sm border border-gray-200">
+          <h3 className="font-bold text-gray-900 mb-2 flex items-center gap-2 text-lg">
+            <Search size={22} className="text-blue-600" /> Decode a Tag
+          </h3>
+          <input
+            autoFocus
+            type="text"
+            value={decoderInput}
+            onChange={(e) => setDecoderInput(e.target.value)}
+            placeholder="Scan or type a product code"
+            className="w-full p-4 bg-white text-gray-900 border border-gray-300 rounded-lg outline-none font-mono text-base"
+          />
+          {decoderInput.trim() && !parsed && (
+            <p className="text-sm text-red-700 font-bold mt-3">Not a [ShopCode]SZ...X[Serial] code.</p>
+          )}
+          {parsed && (
+            <div className="mt-4 grid grid-cols-2 gap-3">
+              <div className="bg-gray-50 p-3 rounded-lg border border-gray-200">
+                <p className="text-xs text-gray-500 font-bold uppercase">Shop</p>
+                <p className="font-bold text-gray-900 truncate">{shopItem ? shopItem.shopName : 'Not on this device'}</p>
+                <p className="font-mono text-sm text-gray-600">{parsed.shopCode}</p>
+              </div>
+              <div className="bg-green-50 p-3 rounded-lg border border-green-200">
+                <p className="text-xs text-green-800 font-bold uppercase">Hidden ASP60</p>
+                <p className="font-black text-green-900 text-2xl">{parsed.asp60 !== null ? `₹${parsed.asp60.toLocaleString()}` : '?'}</p>
+                {parsed.asp60 === null && <p className="text-xs text-green-800">Letters don't match the secret word</p>}
+              </div>
+              <div className="bg-gray-50 p-3 rounded-lg border border-gray-200">
+                <p className="text-xs text-gray-500 font-bold uppercase">Serial / Piece</p>
+                <p className="font-mono font-bold text-gray-900">{parsed.serialNo}{parsed.suffix}</p>
+              </div>
+              <div className="bg-gray-50 p-3 rounded-lg border border-gray-200">
+                <p className="text-xs text-gray-500 font-bold uppercase">This Device</p>
+                <p className="font-bold text-gray-900">{knownItem ? `${knownItem.status.toUpperCase()} · MRP ₹${knownItem.mrp}` : 'Not in inventory'}</p>
+              </div>
+            </div>
+          )}
+        </div>
+
+        {/* Scheme */}
+        <div className="bg-white p-5 rounded-xl shadow-sm border border-gray-200">
+          <h3 className="font-bold text-gray-900 mb-2 flex items-center gap-2 text-lg">
+            <KeyRound size={22} className="text-amber-600" /> Camouflage Scheme
+          </h3>
+          {cipherForm ? (
+            <div className="space-y-3">
+              <div className="flex bg-gray-200 p-1.5 rounded-lg shadow-inner">
+                {Object.entries(PRICE_CODE_SCHEMES).map(([scheme, label]) => (
+                  <button key={scheme} onClick={() => setCipherForm({ ...cipherForm, scheme })} className={`flex-1 py-2 text-sm font-bold rounded-md transition-colors ${cipherForm.scheme === scheme ? 'bg-white text-blue-700 shadow-sm' : 'text-gray-600'}`}>
+                    {label}
+                  </button>
+                ))}
+              </div>
+              {cipherForm.scheme === 'cipher' && (
+                <>
+                  <input
+                    type="text"
+                    value={cipherForm.key}
+                    onChange={(e) => setCipherForm({ ...cipherForm, key: e.target.value.toUpperCase().replace(/[^A-Z]/g, '') })}
+                    maxLength={10}
+                    placeholder="10 different letters, e.g. BLACKHORSE"
+                    className="w-full p-3 bg-white text-gray-900 border border-gray-300 rounded-lg outline-none font-mono text-lg tracking-widest uppercase"
+                  />
+                  <p className="text-xs text-gray-600">Letters stand for 1, 2, 3 ... 9, 0 in order. Tags printed with an older word won't decode after changing it; tags with plain reversed digits always will.</p>
+                </>
+              )}
+              <div className="flex gap-3">
+                <button onClick={() => setCipherForm(null)} className="flex-1 bg-gray-100 text-gray-700 font-bold py-3 rounded-lg hover:bg-gray-200">Cancel</button>
+                <button onClick={savePriceCipher} className="flex-1 bg-blue-600 text-white font-bold py-3 rounded-lg hover:bg-blue-700">Save</button>
+              </div>
+            </div>
+          ) : (
+            <>
+              <p className="text-base text-gray-700">{PRICE_CODE_SCHEMES[priceCipher.scheme]}. ASP60 ₹1424 prints as <span className="font-mono font-bold">{exampleCode}</span></p>
+              <button onClick={openCipherForm} className="mt-4 w-full bg-gray-50 text-gray-800 border border-gray-300 font-semibold py-3 rounded-lg hover:bg-gray-100 transition-colors text-sm">
+                Change Scheme
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+    );
+  };
+
+  const renderAuditLogView = () => {
+    const now = Date.now();
+    const periodStart = auditFilter.period === 'today'
+      ? new Date().setHours(0, 0, 0, 0)
+      : auditFilter.period === '7day' ? now - 7 * 24 * 60 * 60 * 1000 : 0;
+    const q = auditFilter.query.trim().toLowerCase();
+    const entries = auditLog.filter(entry => {
+      if (auditFilter.action !== 'all' && entry.action !== auditFilter.action) return false;
+      if (new Date(entry.timestampISO).getTime() < periodStart) return false;
+      if (!q) return true;
+      return [entry.target, entry.note, formatAuditValue(entry.before), formatAuditValue(entry.after)].some(text => String(text || '').toLowerCase().includes(q));
+    });
+
+    return (
+      <div className="space-y-4 flex-1 w-full pb-5">
+        <div className="flex items-center gap-3 mb-3">
+          <button onClick={() => handleTabChange('dashboard')} className="p-2 bg-white border border-gray-300 rounded-lg text-gray-700">
+            <ArrowLeft size={22} />
+          </button>
+          <h2 className="text-2xl font-bold text-gray-900">Audit Log</h2>
+        </div>
+
+        <div className="flex bg-gray-200 p-1.5 rounded-lg shadow-inner">
+          {[['today', 'Today'], ['7day', '7 Days'], ['all', 'All']].map(([period, label]) => (
+            <button key={period} onClick={() => setAuditFilter({ ...auditFilter, period })} className={`flex-1 py-2 text-sm font-bold rounded-md transition-colors ${auditFilter.period === period ? 'bg-white text-blue-700 shadow-sm' : 'text-gray-600'}`}>
+              {label}
+            </button>
+          ))}
+        </div>
+        <select
+          value={auditFilter.action}
+          onChange={(e) => setAuditFilter({ ...auditFilter, action: e.target.value })}
+          className="w-full p-3 bg-white border border-gray-300 rounded-lg text-base font-bold text-gray-700 outline-none shadow-sm"
+        >
+          <option value="all">All Actions</option>
+          {Object.entries(AUDIT_ACTIONS).map(([action, label]) => (
+            <option key={action} value={action}>{label}</option>
+          ))}
+        </select>
+        <div className="relative">
+          <Search size={20} className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" />
+          <input
+            type="text"
+            value={auditFilter.query}
+            onChange={(e) => setAuditFilter({ ...auditFilter, query: e.target.value })}
+            placeholder="Search code, receipt, shop..."
+            className="w-full p-3 pl-10 bg-white text-gray-900 border border-gray-300 rounded-lg outline-none text-base"
+          />
+        </div>
+        <button
+          onClick={() => exportToCSV(entries.map(entry => ({
+            timestampISO: entry.timestampISO,
+            action: AUDIT_ACTIONS[entry.action] || entry.action,
+            role: entry.role,
+            approvedBy: entry.approvedBy || '',
+            target: entry.target,
+            before: formatAuditValue(entry.before),
+            after: formatAuditValue(entry.after),
+            note: entry.note
+          })), 'Audit_Log')}
+          className="w-full bg-gray-50 text-gray-800 border border-gray-300 font-semibold py-3 rounded-lg hover:bg-gray-100 transition-colors text-sm flex justify-center items-center gap-2"
+        >
+          <Download size={18} /> Export {entries.length} Entries
+        </button>
+
+        {entries.length === 0 ? (
+          <div className="bg-white p-8 rounded-xl border border-gray-200 text-center">
+            <p className="text-gray-600 font-medium text-lg">No audit entries for this filter.</p>
+          </div>
+        ) : (
+          <div className="bg-white rounded-xl shadow-sm border border-gray-200 divide-y divide-gray-100">
+            {entries.map(entry => (
+              <div key={entry.id} className="p-4">
+                <div className="flex justify-between items-start gap-2">
+                  <p className="font-bold text-gray-900">{AUDIT_ACTIONS[entry.action] || entry.action}</p>
+                  <span className={`text-xs px-2 py-0.5 rounded-full font-bold shrink-0 ${entry.role === 'owner' ? 'bg-blue-100 text-blue-800' : 'bg-gray-100 text-gray-700'}`}>
+                    {ROLE_LABELS[entry.role] || entry.role}
+                  </span>
+                </div>
+                <p className="text-xs text-gray-500">
+                  {new Date(entry.timestampISO).toLocaleString()}
+                  {entry.approvedBy && <span className="font-bold text-blue-800"> · Approved by {ROLE_LABELS[entry.approvedBy] || entry.approvedBy} PIN</span>}
+                </p>
+                {entry.target && <p className="font-mono text-sm text-gray-800 mt-1 break-all">{entry.target}</p>}
+                {entry.before && <p className="text-sm text-red-700 mt-1">Before: {formatAuditValue(entry.before)}</p>}
+                {entry.after && <p className="text-sm text-green-700">After: {formatAuditValue(entry.after)}</p>}
+                {entry.note && <p className="text-sm text-gray-600 italic">{entry.note}</p>}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  const renderSettlementStatement = (statement) => (
+    <div className="space-y-4">
+      <div className="bg-amber-50 p-5 rounded-xl border border-amber-300 shadow-sm">
+        <p className="text-xs text-amber-900 font-bold uppercase mb-1">{statement.paidAt ? `Paid ${new Date(statement.paidAt).toLocaleDateString()} · ${statement.paidMethod}` : 'Amount Payable'}</p>
+        <p className="text-4xl font-black text-amber-900">₹{statement.totals.amountPayable.toLocaleString()}</p>
+        <p className="text-sm text-amber-800 mt-1">{formatSettlementPeriod(statement)}</p>
+        {statement.totals.creditCp > 0 && (
+          <p className="text-sm text-amber-800 mt-1">₹{statement.totals.soldCp.toLocaleString()} sold at cost − ₹{statement.totals.creditCp.toLocaleString()} returned after an earlier payment</p>
+        )}
+        {statement.note && <p className="text-sm text-amber-800 mt-1 italic">{statement.note}</p>}
+      </div>
+
+      {[
+        { title: 'Sold Pieces (Cost Owed)', items: statement.soldItems, render: i => [i.saleDate, `₹${i.cp.toLocaleString()}`] },
+        { title: 'Returns This Period', items: statement.returnedItems, render: i => [`${i.refundDate}${i.reason ? ` · ${i.reason}` : ''}`, i.credit ? `−₹${i.cp.toLocaleString()}` : 'Not billed'] },
+        { title: 'Unsold (Return to Vendor)', items: statement.unsoldItems, render: i => [`MRP ₹${i.mrp.toLocaleString()} · ${i.status}`, `₹${i.cp.toLocaleString()}`] }
+      ].map(section => (
+        <div key={section.title} className="bg-white p-4 rounded-xl shadow-sm border border-gray-200">
+          <h3 className="font-bold text-gray-900 mb-2 flex justify-between">
+            <span>{section.title}</span>
+            <span className="text-gray-500">{section.items.length}</span>
+          </h3>
+          {section.items.length === 0 ? (
+            <p className="text-sm text-gray-500 italic">None</p>
+          ) : (
+            <div className="divide-y divide-gray-100 max-h-64 overflow-y-auto">
+              {section.items.map((item, idx) => {
+                const [detail, amount] = section.render(item);
+                return (
+                  <div key={idx} className="flex justify-between items-center py-2 gap-2">
+                    <div className="min-w-0">
+                      <p className="font-mono font-bold text-gray-900 text-sm truncate">{item.sareeCode}</p>
+                      <p className="text-xs text-gray-500 truncate">{detail}</p>
+                    </div>
+                    <p className="font-bold text-gray-900 text-sm shrink-0">{amount}</p>
+                  </div>
+                );
+              })}
+            </div>
+          )}
+        </div>
+      ))}
+
+      <div className="flex gap-3">
+        <button onClick={() => exportSettlementCSV(statement)} className="flex-1 bg-green-50 text-green-800 border border-green-300 font-semibold py-3 rounded-lg hover:bg-green-100 transition-colors text-sm flex items-center justify-center gap-1">
+          <Download size={18} /> CSV
+        </button>
+        <button onClick={() => printHTML(buildSettlementHTML(statement))} className="flex-1 bg-gray-100 text-gray-800 border border-gray-300 font-semibold py-3 rounded-lg hover:bg-gray-200 transition-colors text-sm flex items-center justify-center gap-1">
+          <Printer size={18} /> Print
+        </button>
+        <button onClick={() => downloadSettlementPDF(statement)} className="flex-1 bg-blue-50 text-blue-800 border border-blue-300 font-semibold py-3 rounded-lg hover:bg-blue-100 transition-colors text-sm flex items-center justify-center gap-1">
+          <Download size={18} /> PDF
+        </button>
+      </div>
+    </div>
+  );
+
+  const renderSettlementsView = () => {
+    const shops = Array.from(new Set(sarees.map(s => s.shopName))).sort();
+    const shopHistory = settlements.filter(x => !settlementShop || x.shopName === settlementShop);
+
+    return (
+      <div className="space-y-4 flex-1 w-full pb-5">
+        <div className="flex items-center gap-3 mb-3">
+          <button onClick={() => settlementToShow ? setSettlementToShow(null) : handleTabChange('dashboard')} className="p-2 bg-white border border-gray-300 rounded-lg text-gray-700">
+            <ArrowLeft size={22} />
+          </button>
+          <h2 className="text-2xl font-bold text-gray-900">{settlementToShow ? 'Past Settlement' : 'Vendor Settlement'}</h2>
+        </div>
+
+        {settlementToShow ? (
+          <>
+            <p className="text-lg font-bold text-gray-900">{settlementToShow.shopName}</p>
+            {renderSettlementStatement(settlementToShow)}
+          </>
+        ) : (
+          <>
+            <select
+              value={settlementShop}
+              onChange={(e) => openSettlements(e.target.value)}
+              className="w-full p-4 bg-white border border-gray-300 rounded-lg text-base font-bold text-gray-700 outline-none shadow-sm"
+            >
+              <option value="">Choose a shop / vendor…</option>
+              {shops.map(shop => (
+                <option key={shop} value={shop}>{shop}</option>
+              ))}
+            </select>
+
+            {currentSettlement && (
+              <>
+                <div className="flex gap-3">
+                  <div className="flex-1 min-w-0">
+                    <label className="block text-sm font-bold text-gray-900 mb-1">From</label>
+                    <input type="date" value={settlementPeriod.start} onChange={(e) => setSettlementPeriod({ ...settlementPeriod, start: e.target.value })} className="w-full p-3 bg-white text-gray-900 border border-gray-300 rounded-lg outline-none text-base" />
+                  </div>
+                  <div className="flex-1 min-w-0">
+                    <label className="block text-sm font-bold text-gray-900 mb-1">To</label>
+                    <input type="date" value={settlementPeriod.end} onChange={(e) => setSettlementPeriod({ ...settlementPeriod, end: e.target.value })} className="w-full p-3 bg-white text-gray-900 border border-gray-300 rounded-lg outline-none text-base" />
+                  </div>
+                </div>
+                <p className="text-xs text-gray-500">Sold pieces include anything not yet settled up to the "To" date.</p>
+
+                {renderSettlementStatement(currentSettlement)}
 
-    const headers = Object.keys(data[0]).join(',');
-    const rows = data.map(obj => 
-      Object.values(obj).map(val => `"${String(val).replace(/"/g, '""')}"`).join(',')
+                <button
+                  onClick={() => setSettlementPayment({ method: SETTLEMENT_PAYMENT_METHODS[0], note: '' })}
+                  className="w-full bg-amber-600 text-white font-bold text-lg py-4 rounded-xl hover:bg-amber-700 flex justify-center items-center gap-2 shadow-md"
+                >
+                  <CheckCircle2 size={22} /> Mark as Paid
+                </button>
+              </>
+            )}
+
+            {shopHistory.length > 0 && (
+              <div className="bg-white p-5 rounded-xl shadow-sm border border-gray-200">
+                <h3 className="font-bold text-gray-900 mb-3 text-lg">Settlement History</h3>
+                <div className="divide-y divide-gray-100">
+                  {shopHistory.map(x => (
+                    <button key={x.id} onClick={() => setSettlementToShow(x)} className="w-full flex justify-between items-center py-3 text-left bg-transparent">
+                      <div className="min-w-0">
+                        <p className="font-bold text-gray-900 truncate">{x.shopName}</p>
+                        <p className="text-xs text-gray-500">{formatSettlementPeriod(x)} · {x.soldItems.length} sold · {x.paidMethod}</p>
+                      </div>
+                      <div className="text-right shrink-0">
+                        <p className="font-black text-gray-900">₹{x.totals.amountPayable.toLocaleString()}</p>
+                        <p className="text-xs text-gray-500">{new Date(x.paidAt).toLocaleDateString()}</p>
+                      </div>
+                    </button>
+                  ))}
+                </div>
+              </div>
+            )}
+          </>
+        )}
+      </div>
     );
-    
-    const csvContent = [headers, ...rows].join('\n');
-    const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
-    const url = URL.createObjectURL(blob);
-    
-    const link = document.createElement('a');
-    link.href = url;
-    link.download = `${filename}_${new Date().toLocaleDateString().replace(/\//g, '-')}.csv`;
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
-    URL.revokeObjectURL(url);
-    
-    showNotification(`${filename} downloaded successfully!`);
   };
 
-  const exportNewLabelsCSV = () => {
-    const newSarees = sarees.filter(s => s.status === 'new');
-    
-    if (newSarees.length === 0) {
-      showNotification('No new items to export for labels!', 'error');
-      return;
-    }
+  const renderExhibitionsView = () => {
+    const untaggedSales = sales.filter(s => !s.exhibitionId);
+    const summaries = [
+      ...exhibitions.map(x => ({
+        id: x.id,
+        name: x.name,
+        place: [x.venue, x.city].filter(Boolean).join(', '),
+        dates: formatExhibitionDates(x),
+        ...summarizeSales(sales.filter(s => s.exhibitionId === x.id), refunds.filter(r => r.exhibitionId === x.id))
+      })),
+      ...(untaggedSales.length > 0
+        ? [{ id: 'untagged', name: 'Before exhibitions', place: '', dates: '', ...summarizeSales(untaggedSales, refunds.filter(r => !r.exhibitionId)) }]
+        : [])
+    ];
+    const bestNet = Math.max(0, ...summaries.map(x => x.net));
 
-    // Map to required format
-    const labelData = newSarees.map(s => ({
-      Product_Code: s.code,
-      MRP: s.mrp
-    }));
+    return (
+      <div className="space-y-4 flex-1 w-full pb-5">
+        <div className="flex items-center gap-3 mb-3">
+          <button onClick={() => handleTabChange('dashboard')} className="p-2 bg-white border border-gray-300 rounded-lg text-gray-700">
+            <ArrowLeft size={22} />
+          </button>
+          <h2 className="text-2xl font-bold text-gray-900">Exhibitions</h2>
+        </div>
 
-    exportToCSV(labelData, 'New_Labels_Print');
-  };
+        {/* Active Show */}
+        <div className="bg-white p-5 rounded-xl shadow-sm border border-blue-200">
+          <p className="text-xs text-blue-800 font-bold uppercase mb-1">Active Exhibition</p>
+          {activeExhibition ? (
+            <>
+              <p className="text-xl font-black text-gray-900">{activeExhibition.name}</p>
+              <p className="text-sm text-gray-600">{[activeExhibition.venue, activeExhibition.city].filter(Boolean).join(', ')} {formatExhibitionDates(activeExhibition) && `· ${formatExhibitionDates(activeExhibition)}`}</p>
+              <div className="flex gap-3 mt-4">
+                <button onClick={moveUnsoldStockToActiveExhibition} className="flex-1 bg-blue-50 text-blue-800 border border-blue-300 font-semibold py-3 rounded-lg hover:bg-blue-100 transition-colors text-sm">
+                  Move Unsold Stock Here
+                </button>
+                <button onClick={() => switchActiveExhibition(null)} className="flex-1 bg-gray-100 text-gray-700 border border-gray-300 font-semibold py-3 rounded-lg hover:bg-gray-200 transition-colors text-sm">
+                  End / Clear Active
+                </button>
+              </div>
+            </>
+          ) : (
+            <p className="text-base text-gray-600">None. New stock and sales are not tagged to any show.</p>
+          )}
+        </div>
 
-  const exportAvailableStockCSV = () => {
-    // Export both available and new stock
-    const availableSarees = sarees.filter(s => s.status === 'available' || s.status === 'new');
-    
-    if (availableSarees.length === 0) {
-      showNotification('No available items to export!', 'error');
-      return;
-    }
+        {/* Create / Edit Form */}
+        {exhibitionForm ? (
+          <div className="bg-white p-5 rounded-xl shadow-sm border border-gray-200 space-y-3">
+            <h3 className="font-bold text-gray-900 text-lg">{exhibitionForm.id ? 'Edit Exhibition' : 'New Exhibition'}</h3>
+            <input type="text" value={exhibitionForm.name} onChange={(e) => setExhibitionForm({ ...exhibitionForm, name: e.target.value })} placeholder="Name (e.g. Silk Expo 2026)" className="w-full p-3 bg-white text-gray-900 border border-gray-300 rounded-lg outline-none text-base" />
+            <div className="flex gap-3">
+              <input type="text" value={exhibitionForm.city} onChange={(e) => setExhibitionForm({ ...exhibitionForm, city: e.target.value })} placeholder="City" className="flex-1 min-w-0 p-3 bg-white text-gray-900 border border-gray-300 rounded-lg outline-none text-base" />
+              <input type="text" value={exhibitionForm.venue} onChange={(e) => setExhibitionForm({ ...exhibitionForm, venue: e.target.value })} placeholder="Venue" className="flex-1 min-w-0 p-3 bg-white text-gray-900 border border-gray-300 rounded-lg outline-none text-base" />
+            </div>
+            <div className="flex gap-3">
+              <div className="flex-1 min-w-0">
+                <label className="block text-sm font-bold text-gray-900 mb-1">Start</label>
+                <input type="date" value={exhibitionForm.startDate} onChange={(e) => setExhibitionForm({ ...exhibitionForm, startDate: e.target.value })} className="w-full p-3 bg-white text-gray-900 border border-gray-300 rounded-lg outline-none text-base" />
+              </div>
+              <div className="flex-1 min-w-0">
+                <label className="block text-sm font-bold text-gray-900 mb-1">End</label>
+                <input type="date" value={exhibitionForm.endDate} onChange={(e) => setExhibitionForm({ ...exhibitionForm, endDate: e.target.value })} className="w-full p-3 bg-white text-gray-900 border border-gray-300 rounded-lg outline-none text-base" />
+              </div>
+            </div>
+            <div className="flex gap-3">
+              <button onClick={() => setExhibitionForm(null)} className="flex-1 bg-gray-100 text-gray-700 font-bold py-3 rounded-lg hover:bg-gray-200">Cancel</button>
+              <button onClick={saveExhibition} className="flex-1 bg-blue-600 text-white font-bold py-3 rounded-lg hover:bg-blue-700">Save</button>
+            </div>
+          </div>
+        ) : (
+          <button onClick={() => openExhibitionForm()} className="w-full bg-blue-600 text-white font-bold text-lg py-4 rounded-xl hover:bg-blue-700 flex justify-center items-center gap-2 shadow-md">
+            <PlusCircle size={22} /> New Exhibition
+          </button>
+        )}
 
-    exportToCSV(availableSarees, 'Available_Inventory');
-  };
+        {/* All Shows */}
+        {exhibitions.length > 0 && (
+          <div className="space-y-3">
+            {exhibitions.map(x => (
+              <div key={x.id} className={`bg-white p-4 rounded-xl border shadow-sm ${x.id === activeExhibitionId ? 'border-blue-400' : 'border-gray-200'}`}>
+                <div className="flex justify-between items-start">
+                  <div className="min-w-0">
+                    <p className="font-bold text-gray-900 text-lg truncate">{x.name}</p>
+                    <p className="text-sm text-gray-500">{[x.venue, x.city].filter(Boolean).join(', ')}</p>
+                    <p className="text-xs text-gray-400">{formatExhibitionDates(x)}</p>
+                  </div>
+                  {x.id === activeExhibitionId ? (
+                    <span className="text-xs bg-blue-100 text-blue-800 px-3 py-1 rounded-full font-bold shrink-0">ACTIVE</span>
+                  ) : (
+                    <button onClick={() => switchActiveExhibition(x.id)} className="text-xs bg-blue-600 text-white px-3 py-1.5 rounded-lg font-bold shrink-0">Set Active</button>
+                  )}
+                </div>
+                <div className="flex gap-2 mt-3">
+                  <button onClick={() => openExhibitionForm(x)} className="flex-1 bg-gray-100 text-gray-700 text-sm font-semibold py-2 rounded-lg hover:bg-gray-200">Edit</button>
+                  <button onClick={() => deleteExhibition(x.id)} className="flex-1 bg-red-50 text-red-700 text-sm font-semibold py-2 rounded-lg hover:bg-red-100">Delete</button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
 
-  // --- UI RENDER FUNCTIONS ---
+        {/* Show-by-show Comparison */}
+        {summaries.length > 0 && (
+          <div className="bg-white p-5 rounded-xl shadow-sm border border-gray-200">
+            <h3 className="font-bold text-gray-900 mb-3 text-lg">Compare Shows</h3>
+            <div className="space-y-3">
+              {summaries.map(x => (
+                <div key={x.id} className="border-b border-gray-100 pb-3 last:border-0 last:pb-0">
+                  <div className="flex justify-between items-baseline">
+                    <p className="font-bold text-gray-900 truncate">{x.name}</p>
+                    <p className="font-black text-gray-900">₹{x.net.toLocaleString()}</p>
+                  </div>
+                  <div className="h-2 bg-gray-100 rounded-full mt-1 overflow-hidden">
+                    <div className="h-full bg-blue-500 rounded-full" style={{ width: `${bestNet > 0 ? Math.max(0, (x.net / bestNet) * 100) : 0}%` }}></div>
+                  </div>
+                  <div className="grid grid-cols-3 gap-1 mt-2 text-xs text-gray-600">
+                    <span>{x.itemsSold} sold</span>
+                    <span className="text-center">{x.transactions} bills</span>
+                    <span className="text-right">Avg ₹{x.averageBill.toLocaleString()}</span>
+                    <span className="text-green-700 font-bold">{isOwner ? `+₹${x.profit.toLocaleString()} profit` : ''}</span>
+                    <span className="text-center text-red-600">−₹{x.refunded.toLocaleString()} refunds</span>
+                    <span className="text-right">Gross ₹{x.gross.toLocaleString()}</span>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+      </div>
+    );
+  };
 
   const renderDashboardView = () => {
     // Advanced Profit & Revenue Calculations
@@ -671,13 +3993,13 @@ export default function App() {
     const startOfDay = new Date(now.getFullYear(), now.getMonth(), now.getDate()).getTime();
     const startOfWeek = startOfDay - (6 * 24 * 60 * 60 * 1000); // Past 7 days (Rolling week)
 
-    let dailySales = 0, dailyProfit = 0;
-    let weeklySales = 0, weeklyProfit = 0;
-    let lifetimeSales = 0, lifetimeProfit = 0;
+    let dailySales = 0, dailyProfit = 0, dailyRefunds = 0;
+    let weeklySales = 0, weeklyProfit = 0, weeklyRefunds = 0;
+    let lifetimeSales = 0, lifetimeProfit = 0, lifetimeRefunds = 0;
 
-    sales.forEach(sale => {
+    scopedSales.forEach(sale => {
       // Fallback for older legacy test data
-      const saleTime = sale.timestampISO ? new Date(sale.timestampISO).getTime() : new Date(sale.saleDate).getTime();
+      const saleTime = getRecordTime(sale);
       const price = sale.salePrice || 0;
       
       // Calculate profit directly or fallback to older lookup logic
@@ -700,20 +4022,40 @@ export default function App() {
       }
     });
 
-    const cashRevenue = sales.filter(s => s.paymentMethod === 'Cash').reduce((sum, sale) => sum + (sale.salePrice || 0), 0);
-    const upiRevenue = sales.filter(s => s.paymentMethod === 'UPI').reduce((sum, sale) => sum + (sale.salePrice || 0), 0);
+    // Refunds count against the day they were given, not the day of the original sale
+    scopedRefunds.forEach(refund => {
+      const refundTime = getRecordTime(refund);
+      const amount = refund.refundAmount || 0;
+      const reversal = getRefundProfitReversal(refund);
+
+      lifetimeRefunds += amount;
+      lifetimeProfit -= reversal;
+
+      if (refundTime >= startOfDay) {
+        dailyRefunds += amount;
+        dailyProfit -= reversal;
+      }
+      if (refundTime >= startOfWeek) {
+        weeklyRefunds += amount;
+        weeklyProfit -= reversal;
+      }
+    });
+
+    const paymentTotals = sumPayments(scopedSales);
+    scopedRefunds.forEach(refund => {
+      paymentTotals[refund.refundMethod] = (paymentTotals[refund.refundMethod] || 0) - (refund.refundAmount || 0);
+    });
 
     return (
       <div className="space-y-6 flex-1 w-full">
-        <h2 
-          onClick={handleHiddenResetTrigger} 
-          className="text-2xl font-bold text-gray-900 select-none cursor-pointer active:text-blue-600 transition-colors"
-        >
+        <h2 className="text-2xl font-bold text-gray-900">
           Exhibition Dashboard
         </h2>
+
+        {renderExhibitionScopeToggle()}
         
         <h3 className="font-bold text-gray-900 mb-[-12px] flex items-center gap-2 text-lg">
-          Sales & Profit Metrics
+          {isOwner ? 'Sales & Profit Metrics' : 'Sales Metrics'}
         </h3>
 
         {/* New Advanced Analytics Grid */}
@@ -721,25 +4063,30 @@ export default function App() {
             {/* Today */}
             <div className="bg-white p-5 rounded-xl border border-blue-200 shadow-sm col-span-2 flex justify-between items-center bg-gradient-to-r from-blue-50 to-white">
                 <div>
-                    <p className="text-sm text-blue-800 font-bold uppercase">Today's Revenue</p>
-                    <p className="text-4xl font-black text-gray-900">₹{dailySales.toLocaleString()}</p>
-                </div>
-                <div className="text-right">
-                    <p className="text-sm text-green-700 font-bold uppercase">Today's Profit</p>
-                    <p className="text-3xl font-black text-green-600">+₹{dailyProfit.toLocaleString()}</p>
+                    <p className="text-sm text-blue-800 font-bold uppercase">Today's Net Revenue</p>
+                    <p className="text-4xl font-black text-gray-900">₹{(dailySales - dailyRefunds).toLocaleString()}</p>
+                    <p className="text-xs text-gray-500 font-bold mt-1">Gross ₹{dailySales.toLocaleString()} · Refunds −₹{dailyRefunds.toLocaleString()}</p>
                 </div>
+                {isOwner && (
+                  <div className="text-right">
+                      <p className="text-sm text-green-700 font-bold uppercase">Today's Net Profit</p>
+                      <p className="text-3xl font-black text-green-600">+₹{dailyProfit.toLocaleString()}</p>
+                  </div>
+                )}
             </div>
             {/* Weekly */}
             <div className="bg-white p-4 rounded-xl border border-gray-200 shadow-sm">
-                <p className="text-xs text-gray-500 font-bold uppercase">7-Day Revenue</p>
-                <p className="text-xl font-bold text-gray-900">₹{weeklySales.toLocaleString()}</p>
-                <p className="text-xs text-green-600 font-bold mt-1">+₹{weeklyProfit.toLocaleString()} Profit</p>
+                <p className="text-xs text-gray-500 font-bold uppercase">7-Day Net Revenue</p>
+                <p className="text-xl font-bold text-gray-900">₹{(weeklySales - weeklyRefunds).toLocaleString()}</p>
+                <p className="text-xs text-gray-500 mt-1">Gross ₹{weeklySales.toLocaleString()} · Refunds −₹{weeklyRefunds.toLocaleString()}</p>
+                {isOwner && <p className="text-xs text-green-600 font-bold mt-1">+₹{weeklyProfit.toLocaleString()} Profit</p>}
             </div>
             {/* Lifetime */}
             <div className="bg-white p-4 rounded-xl border border-gray-200 shadow-sm">
-                <p className="text-xs text-gray-500 font-bold uppercase">Lifetime Revenue</p>
-                <p className="text-xl font-bold text-purple-900">₹{lifetimeSales.toLocaleString()}</p>
-                <p className="text-xs text-green-600 font-bold mt-1">+₹{lifetimeProfit.toLocaleString()} Profit</p>
+                <p className="text-xs text-gray-500 font-bold uppercase">Lifetime Net Revenue</p>
+                <p className="text-xl font-bold text-purple-900">₹{(lifetimeSales - lifetimeRefunds).toLocaleString()}</p>
+                <p className="text-xs text-gray-500 mt-1">Gross ₹{lifetimeSales.toLocaleString()} · Refunds −₹{lifetimeRefunds.toLocaleString()}</p>
+                {isOwner && <p className="text-xs text-green-600 font-bold mt-1">+₹{lifetimeProfit.toLocaleString()} Profit</p>}
             </div>
         </div>
 
@@ -747,24 +4094,57 @@ export default function App() {
         <div className="grid grid-cols-2 gap-4">
           <div className="bg-blue-100 p-5 rounded-xl shadow-sm border border-blue-200">
             <p className="text-blue-900 text-base font-semibold">Available Stock</p>
-            <p className="text-4xl font-bold text-blue-900">{sarees.filter(s => s.status === 'available').length}</p>
+            <p className="text-4xl font-bold text-blue-900">{scopedSarees.filter(s => s.status === 'available').length}</p>
           </div>
           <div className="bg-green-100 p-5 rounded-xl shadow-sm border border-green-200">
             <p className="text-green-900 text-base font-semibold">Total Items Sold</p>
-            <p className="text-4xl font-bold text-green-900">{sales.length}</p>
+            <p className="text-4xl font-bold text-green-900">{scopedSales.length - scopedRefunds.filter(r => r.saleId).length}</p>
           </div>
-          <div className="bg-gray-100 p-5 rounded-xl shadow-sm border border-gray-200 col-span-2 flex justify-between items-center">
-              <div>
-                <p className="text-gray-600 text-sm font-semibold uppercase">Total Cash</p>
-                <p className="text-2xl font-bold text-gray-900">₹{cashRevenue.toLocaleString()}</p>
-              </div>
-              <div className="text-right">
-                <p className="text-gray-600 text-sm font-semibold uppercase">Total UPI</p>
-                <p className="text-2xl font-bold text-gray-900">₹{upiRevenue.toLocaleString()}</p>
-              </div>
+          <div className="bg-gray-100 p-5 rounded-xl shadow-sm border border-gray-200 col-span-2 grid grid-cols-3 gap-2">
+              {PAYMENT_METHODS.map((method, i) => (
+                <div key={method} className={i === 0 ? '' : i === PAYMENT_METHODS.length - 1 ? 'text-right' : 'text-center'}>
+                  <p className="text-gray-600 text-sm font-semibold uppercase">Net {method}</p>
+                  <p className="text-xl font-bold text-gray-900">₹{(paymentTotals[method] || 0).toLocaleString()}</p>
+                </div>
+              ))}
           </div>
         </div>
 
+        {/* Sales by Attribute */}
+        {scopedSales.length > 0 && (() => {
+          const breakdown = summarizeSalesByAttribute(scopedSales, scopedRefunds, sarees, breakdownAttribute);
+          const topRevenue = Math.max(1, ...breakdown.map(row => row.revenue));
+          return (
+            <div className="bg-white p-5 rounded-xl shadow-sm border border-gray-200">
+              <h3 className="font-bold text-gray-900 mb-3 text-lg">Sales by Attribute</h3>
+              <div className="flex bg-gray-200 p-1 rounded-lg mb-4 overflow-x-auto">
+                {Object.entries(SAREE_ATTRIBUTE_LABELS).map(([key, label]) => (
+                  <button key={key} onClick={() => setBreakdownAttribute(key)} className={`flex-1 py-1.5 px-2 text-xs font-bold rounded-md whitespace-nowrap transition-colors ${breakdownAttribute === key ? 'bg-white text-blue-800 shadow-sm' : 'text-gray-600'}`}>
+                    {label}
+                  </button>
+                ))}
+              </div>
+              <div className="space-y-3">
+                {breakdown.map(row => (
+                  <div key={row.value}>
+                    <div className="flex justify-between items-baseline text-sm">
+                      <span className={`font-bold ${row.value === 'Unspecified' ? 'text-gray-400 italic' : 'text-gray-900'}`}>{row.value}</span>
+                      <span className="font-bold text-gray-900">₹{row.revenue.toLocaleString()}</span>
+                    </div>
+                    <div className="h-2 bg-gray-100 rounded-full mt-1 overflow-hidden">
+                      <div className="h-full bg-amber-500 rounded-full" style={{ width: `${Math.max(0, (row.revenue / topRevenue) * 100)}%` }}></div>
+                    </div>
+                    <div className="flex justify-between text-xs text-gray-500 mt-1">
+                      <span>{row.itemsSold} sold</span>
+                      {isOwner && <span className="text-green-700 font-bold">+₹{row.profit.toLocaleString()} profit</span>}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </div>
+          );
+        })()}
+
         {/* Advanced Tools Toggle */}
         <div className="mt-4">
           <button
@@ -778,49 +4158,208 @@ export default function App() {
 
         {showAdvancedTools && (
           <div className="space-y-4 mt-4">
-            {/* Database Sync / Backup & Restore Block */}
+            {/* Database Sync / Backup & Restore Block - backups carry cost prices, so owner only */}
+            {isOwner && (
             <div className="bg-white p-5 rounded-xl shadow-sm border border-purple-200">
               <h3 className="font-bold text-purple-900 mb-2 flex items-center gap-2 text-lg">
                 <RefreshCcw size={22} /> Device Sync & Restore
               </h3>
-              <p className="text-sm text-gray-700 mb-4">Transfer all inventory and sales data exactly as is to a new phone via JSON.</p>
+              <p className="text-sm text-gray-700 mb-4">Transfer all inventory and sales data exactly as is to a new phone via JSON, or merge another counter's backup into this one.</p>
+              <label className="flex items-center gap-2 mb-3 text-sm font-semibold text-gray-800 cursor-pointer">
+                <input type="checkbox" checked={includePhotosInBackup} onChange={(e) => setIncludePhotosInBackup(e.target.checked)} className="w-5 h-5" />
+                Include product photos (larger file)
+              </label>
               <div className="flex gap-3">
                 <button onClick={handleExportBackup} className="flex-1 bg-purple-50 text-purple-800 border border-purple-300 font-semibold py-3 rounded-lg hover:bg-purple-100 transition-colors text-sm flex items-center justify-center gap-1">
                   <Download size={18} /> Backup
                 </button>
                 <label className="flex-1 bg-orange-50 text-orange-800 border border-orange-300 font-semibold py-3 rounded-lg hover:bg-orange-100 transition-colors text-sm flex items-center justify-center gap-1 cursor-pointer">
-                  <Upload size={18} /> Restore
+                  <Upload size={18} /> Replace All
                   <input type="file" className="hidden" accept=".json" onChange={handleRestoreBackup} />
                 </label>
               </div>
+              <label className="mt-3 w-full bg-teal-50 text-teal-800 border border-teal-300 font-semibold py-3 rounded-lg hover:bg-teal-100 transition-colors text-sm flex items-center justify-center gap-1 cursor-pointer">
+                <ArrowRightLeft size={18} /> Merge Another Counter's Backup
+                <input type="file" className="hidden" accept=".json" onChange={handleMergeBackup} />
+              </label>
             </div>
+            )}
 
             <div className="bg-white p-5 rounded-xl shadow-sm border border-gray-200 mt-2">
               <h3 className="font-bold text-gray-900 mb-2 flex items-center gap-2 text-lg">
-                <Download size={22} className="text-blue-600" /> Excel CSV Exports
+                <Download size={22} className="text-blue-600" /> Excel & CSV Exports
               </h3>
               <p className="text-sm text-gray-700 mb-4">Download spreadsheet versions of your data for end of day accounting.</p>
               <div className="flex flex-col gap-3">
+                {isOwner && (
+                <>
+                <button onClick={exportExcelWorkbook} className="w-full bg-emerald-600 text-white font-bold py-3 rounded-lg hover:bg-emerald-700 transition-colors text-sm flex items-center justify-center gap-1">
+                  <Download size={18} /> Excel Workbook (Inventory, Sales, Shops)
+                </button>
                 <div className="flex gap-3">
-                  <button onClick={() => exportToCSV(sales, 'Sales_Log')} className="flex-1 bg-green-50 text-green-800 border border-green-300 font-semibold py-3 rounded-lg hover:bg-green-100 transition-colors text-sm">
+                  <button onClick={exportSalesCSV} className="flex-1 bg-green-50 text-green-800 border border-green-300 font-semibold py-3 rounded-lg hover:bg-green-100 transition-colors text-sm">
                     Export Sales
                   </button>
                   <button onClick={() => exportToCSV(sarees, 'Inventory_Master')} className="flex-1 bg-blue-50 text-blue-800 border border-blue-300 font-semibold py-3 rounded-lg hover:bg-blue-100 transition-colors text-sm">
                     Export All Inv.
                   </button>
                 </div>
+                <button onClick={() => exportToCSV(refunds, 'Refunds_Log')} className="w-full bg-red-50 text-red-800 border border-red-300 font-semibold py-3 rounded-lg hover:bg-red-100 transition-colors text-sm">
+                  Export Refunds
+                </button>
+                </>
+                )}
                 <div className="flex gap-3">
+                   {isOwner && (
                    <button onClick={exportAvailableStockCSV} className="flex-1 bg-teal-50 text-teal-800 border border-teal-300 font-semibold py-3 rounded-lg hover:bg-teal-100 transition-colors text-sm flex justify-center items-center gap-2">
                      <Download size={18} /> Export Available
                    </button>
+                   )}
                    <button onClick={exportNewLabelsCSV} className="flex-1 bg-indigo-50 text-indigo-800 border border-indigo-300 font-semibold py-3 rounded-lg hover:bg-indigo-100 transition-colors text-sm flex justify-center items-center gap-2">
                      <Download size={18} /> Export Labels
                    </button>
                 </div>
+                <button onClick={() => handleTabChange('customers')} className="w-full bg-blue-50 text-blue-800 border border-blue-300 font-semibold py-3 rounded-lg hover:bg-blue-100 transition-colors text-sm flex justify-center items-center gap-2">
+                  <Users size={18} /> Customers
+                </button>
+                <button onClick={openLabelDesigner} className="w-full bg-indigo-600 text-white font-semibold py-3 rounded-lg hover:bg-indigo-700 transition-colors text-sm flex justify-center items-center gap-2 shadow-sm">
+                  <Printer size={18} /> Print Barcode / QR Labels
+                </button>
+                {isOwner && (
+                <button onClick={() => openSettlements()} className="w-full bg-amber-50 text-amber-900 border border-amber-300 font-semibold py-3 rounded-lg hover:bg-amber-100 transition-colors text-sm flex justify-center items-center gap-2">
+                  <Receipt size={18} /> Vendor Settlements
+                </button>
+                )}
+                {isOwner && (
+                <button onClick={() => handleTabChange('discounts')} className="w-full bg-green-50 text-green-800 border border-green-300 font-semibold py-3 rounded-lg hover:bg-green-100 transition-colors text-sm flex justify-center items-center gap-2">
+                  <Tag size={18} /> Offers & Discounts ({discountRules.filter(r => r.active).length} on)
+                </button>
+                )}
+              </div>
+            </div>
+
+            {/* Access & PINs - owner only */}
+            {isOwner && (
+            <div className="bg-white p-5 rounded-xl shadow-sm border border-red-200">
+              <h3 className="font-bold text-red-900 mb-2 flex items-center gap-2 text-lg">
+                <Lock size={22} /> Access & Security
+              </h3>
+              <p className="text-sm text-gray-700 mb-4">Cashiers can sell, take returns and print labels, but never see cost price or profit.</p>
+              <div className="flex flex-col gap-3">
+                <div className="flex gap-3">
+                  <button onClick={() => openPinChange('owner')} className="flex-1 bg-gray-50 text-gray-800 border border-gray-300 font-semibold py-3 rounded-lg hover:bg-gray-100 transition-colors text-sm">
+                    Change Owner PIN
+                  </button>
+                  <button onClick={() => openPinChange('cashier')} className="flex-1 bg-gray-50 text-gray-800 border border-gray-300 font-semibold py-3 rounded-lg hover:bg-gray-100 transition-colors text-sm">
+                    {pinRecords.cashier ? 'Change Cashier PIN' : 'Set Cashier PIN'}
+                  </button>
+                </div>
+                {pinRecords.cashier && (
+                  <button onClick={removeCashierPin} className="w-full bg-gray-50 text-gray-800 border border-gray-300 font-semibold py-3 rounded-lg hover:bg-gray-100 transition-colors text-sm">
+                    Remove Cashier PIN
+                  </button>
+                )}
+                <button onClick={() => handleTabChange('codes')} className="w-full bg-gray-50 text-gray-800 border border-gray-300 font-semibold py-3 rounded-lg hover:bg-gray-100 transition-colors text-sm flex justify-center items-center gap-2">
+                  <KeyRound size={18} /> Price Codes & Decoder
+                </button>
+                <button onClick={() => handleTabChange('audit')} className="w-full bg-gray-50 text-gray-800 border border-gray-300 font-semibold py-3 rounded-lg hover:bg-gray-100 transition-colors text-sm flex justify-center items-center gap-2">
+                  <History size={18} /> View Audit Log
+                </button>
+                <button onClick={openFactoryReset} className="w-full bg-red-50 text-red-700 border border-red-300 font-semibold py-3 rounded-lg hover:bg-red-100 transition-colors text-sm flex justify-center items-center gap-2">
+                  <Trash2 size={18} /> Factory Reset
+                </button>
               </div>
             </div>
+            )}
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  const renderImportWizard = () => {
+    const { fileName, headers, rows, mapping, formatKnown, saveMapping } = importWizard;
+    const results = getImportResults();
+    const invalid = results.filter(result => !result.saree);
+    const mappedFields = IMPORT_FIELDS.filter(field => mapping[field.key] >= 0);
+    const missingRequired = IMPORT_FIELDS.filter(field => field.required && mapping[field.key] < 0);
+
+    return (
+      <div className="bg-white p-5 rounded-xl shadow-sm border border-blue-300 space-y-4">
+        <div className="flex justify-between items-start gap-2">
+          <div className="min-w-0">
+            <h3 className="font-bold text-gray-900 text-lg flex items-center gap-2"><Upload size={22} className="text-blue-600" /> Import Stock</h3>
+            <p className="text-sm text-gray-600 truncate">{fileName} · {rows.length} row(s)</p>
+          </div>
+          <button onClick={() => setImportWizard(null)} className="text-gray-500 p-1"><X size={22} /></button>
+        </div>
+        {formatKnown && <p className="text-sm text-green-800 bg-green-50 border border-green-200 rounded-lg p-2 font-bold">Known file format: using the saved column mapping.</p>}
+
+        {/* Column Mapping */}
+        <div>
+          <p className="text-xs text-gray-500 font-bold uppercase mb-2">Columns</p>
+          <div className="grid grid-cols-2 gap-2">
+            {IMPORT_FIELDS.map(field => (
+              <label key={field.key} className="min-w-0">
+                <span className={`block text-xs font-bold mb-0.5 ${field.required && mapping[field.key] < 0 ? 'text-red-700' : 'text-gray-700'}`}>{field.label}{field.required && ' *'}</span>
+                <select
+                  value={mapping[field.key]}
+                  onChange={(e) => setImportWizard({ ...importWizard, mapping: { ...mapping, [field.key]: parseInt(e.target.value, 10) } })}
+                  className="w-full p-2 bg-white border border-gray-300 rounded-lg text-sm text-gray-800 outline-none"
+                >
+                  <option value={-1}>Not in file</option>
+                  {headers.map((header, idx) => <option key={idx} value={idx}>{header || `Column ${idx + 1}`}</option>)}
+                </select>
+              </label>
+            ))}
+          </div>
+        </div>
+
+        {/* Preview */}
+        <div>
+          <p className="text-xs text-gray-500 font-bold uppercase mb-2">Preview</p>
+          <div className="overflow-x-auto border border-gray-200 rounded-lg">
+            <table className="text-xs w-full">
+              <thead className="bg-gray-50">
+                <tr>{mappedFields.map(field => <th key={field.key} className="p-2 text-left font-bold text-gray-700 whitespace-nowrap">{field.label}</th>)}</tr>
+              </thead>
+              <tbody>
+                {rows.slice(0, 5).map((row, idx) => (
+                  <tr key={idx} className={`border-t border-gray-100 ${results[idx].saree ? '' : 'bg-red-50'}`}>
+                    {mappedFields.map(field => <td key={field.key} className="p-2 whitespace-nowrap text-gray-800">{row[mapping[field.key]]}</td>)}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+
+        {/* Row Errors */}
+        {missingRequired.length === 0 && invalid.length > 0 && (
+          <div className="bg-red-50 border border-red-200 rounded-lg p-3">
+            <p className="font-bold text-red-800 mb-1">{invalid.length} row(s) will be skipped</p>
+            <ul className="text-sm text-red-700 space-y-0.5 max-h-40 overflow-y-auto">
+              {invalid.slice(0, 100).map(result => (
+                <li key={result.rowNumber}><b>Row {result.rowNumber}</b>{result.code && <span className="font-mono"> {result.code}</span>}: {result.errors.join('; ')}</li>
+              ))}
+            </ul>
           </div>
         )}
+
+        <label className="flex items-center gap-2 text-sm font-bold text-gray-700">
+          <input type="checkbox" checked={saveMapping} onChange={(e) => setImportWizard({ ...importWizard, saveMapping: e.target.checked })} className="w-5 h-5" />
+          Remember this mapping for files like this
+        </label>
+        <div className="flex gap-3">
+          <button onClick={() => setImportWizard(null)} className="flex-1 bg-gray-100 text-gray-700 font-bold py-3 rounded-lg hover:bg-gray-200">Cancel</button>
+          <button
+            onClick={confirmImport}
+            disabled={missingRequired.length > 0}
+            className="flex-[2] bg-blue-600 text-white font-bold py-3 rounded-lg hover:bg-blue-700 disabled:opacity-50"
+          >
+            {missingRequired.length > 0 ? `Map ${missingRequired.map(field => field.label).join(', ')}` : `Import ${results.length - invalid.length} Item(s)`}
+          </button>
+        </div>
       </div>
     );
   };
@@ -830,20 +4369,23 @@ export default function App() {
       <h2 className="text-2xl font-bold text-gray-900 mb-4">Add/Import Inventory</h2>
       
       {/* Bulk Upload Section */}
+      {importWizard ? renderImportWizard() : (
       <div className="bg-white p-5 rounded-xl shadow-sm border border-gray-200">
         <h3 className="font-bold text-gray-900 mb-2 flex items-center gap-2 text-lg">
-          <Upload size={24} className="text-blue-600" /> Bulk Import from CSV
+          <Upload size={24} className="text-blue-600" /> Bulk Import from CSV / Excel
         </h3>
-        <p className="text-sm text-gray-600 mb-4">Columns MUST include: <b>Shop_Name, Shop_Code, CP, MRP, ASP60, Product_Code, Item_Status</b>.</p>
+        <p className="text-sm text-gray-600 mb-1">Needs columns for <b>Product Code, Shop Name, CP and MRP</b>; you match them up after choosing the file.</p>
+        <p className="text-sm text-gray-600 mb-4">Optional: <b>Shop Code, ASP60, Status, Fabric, Colour, Design, Length, Blouse Piece</b> (Yes/No).</p>
         
         <label className="flex justify-center items-center w-full h-20 px-4 transition bg-blue-50 border-2 border-blue-300 border-dashed rounded-lg cursor-pointer hover:border-blue-400">
             <span className="flex items-center space-x-2 text-blue-700 font-bold text-lg">
                 <Upload size={24} />
-                <span>Select CSV File</span>
+                <span>Select CSV or .xlsx File</span>
             </span>
-            <input type="file" className="hidden" accept=".csv" onChange={handleFileUpload} />
+            <input type="file" className="hidden" accept=".csv,.xlsx" onChange={handleFileUpload} />
         </label>
       </div>
+      )}
 
       <div className="flex items-center gap-4 my-3">
         <div className="h-px bg-gray-300 flex-1"></div>
@@ -860,7 +4402,7 @@ export default function App() {
           </div>
           <div className="flex-1 min-w-0">
             <label className="block text-base font-bold text-gray-900 mb-1">Shop Code</label>
-            <input required name="shopCode" type="text" className="w-full p-4 bg-white text-gray-900 border border-gray-300 rounded-lg outline-none uppercase font-mono text-base" placeholder="e.g. CKC" />
+            <input required name="shopCode" type="text" onChange={(e) => { setAddFormShopCode(e.target.value.trim().toUpperCase()); setSerialOverride(null); }} className="w-full p-4 bg-white text-gray-900 border border-gray-300 rounded-lg outline-none uppercase font-mono text-base" placeholder="e.g. CKC" />
           </div>
         </div>
         
@@ -879,23 +4421,86 @@ export default function App() {
           </div>
         </div>
         
+        {/* Saree Attributes */}
+        <div className="grid grid-cols-3 gap-3 w-full">
+          {SAREE_TEXT_ATTRIBUTES.map(({ key, label, options }) => (
+            <div key={key} className="min-w-0">
+              <label className="block text-sm font-bold text-gray-900 mb-1">{label}</label>
+              <input name={key} type="text" list={`${key}-options`} className="w-full p-3 bg-white text-gray-900 border border-gray-300 rounded-lg outline-none text-base" placeholder={options[0]} />
+              <datalist id={`${key}-options`}>
+                {Array.from(new Set([...options, ...sarees.map(s => s[key]).filter(Boolean)])).map(option => <option key={option} value={option} />)}
+              </datalist>
+            </div>
+          ))}
+        </div>
+
+        <div className="flex gap-3 w-full">
+          <div className="flex-1 min-w-0">
+            <label className="block text-sm font-bold text-gray-900 mb-1">Length (m)</label>
+            <input name="length" type="number" min="0" step="0.1" defaultValue={DEFAULT_SAREE_LENGTH} className="w-full p-3 bg-white text-gray-900 border border-gray-300 rounded-lg outline-none text-base" />
+          </div>
+          <div className="flex-1 min-w-0">
+            <label className="block text-sm font-bold text-gray-900 mb-1">Blouse Piece</label>
+            <select name="blousePiece" defaultValue="yes" className="w-full p-3 bg-white text-gray-900 border border-gray-300 rounded-lg outline-none text-base">
+              <option value="yes">With blouse</option>
+              <option value="no">No blouse</option>
+              <option value="">Not sure</option>
+            </select>
+          </div>
+        </div>
+
         <div className="flex gap-3 w-full">
           <div className="flex-1 min-w-0">
             <label className="block text-base font-bold text-gray-900 mb-1">Quantity</label>
-            <input required name="quantity" type="number" min="1" max="26" className="w-full p-4 bg-white text-gray-900 border border-gray-300 rounded-lg outline-none text-base" placeholder="e.g. 6" />
+            <input required name="quantity" type="number" min="1" max="500" className="w-full p-4 bg-white text-gray-900 border border-gray-300 rounded-lg outline-none text-base" placeholder="e.g. 6" />
           </div>
           <div className="flex-1 min-w-0">
             <label className="block text-base font-bold text-gray-900 mb-1">Serial No.</label>
-            <input required name="serialNo" type="text" className="w-full p-4 bg-white text-gray-900 border border-gray-300 rounded-lg outline-none font-mono text-base" placeholder="e.g. 01" />
+            <input
+              required
+              name="serialNo"
+              type="text"
+              inputMode="numeric"
+              value={serialOverride ?? (addFormShopCode ? getNextSerial(sarees, addFormShopCode, serialCounters[addFormShopCode]) : '')}
+              onChange={(e) => setSerialOverride(e.target.value.replace(/\D/g, ''))}
+              className="w-full p-4 bg-white text-gray-900 border border-gray-300 rounded-lg outline-none font-mono text-base"
+              placeholder="Auto"
+            />
           </div>
         </div>
 
+        {/* Product Photo */}
+        <div>
+          <label className="block text-base font-bold text-gray-900 mb-1">Photo</label>
+          {pendingPhoto ? (
+            <div className="flex items-center gap-3">
+              <img src={pendingPhoto.previewURL} alt="" className="w-20 h-20 rounded-lg object-cover border border-gray-300" />
+              <button type="button" onClick={clearPendingPhoto} className="text-red-600 bg-red-50 border border-red-200 font-semibold py-2 px-4 rounded-lg text-sm hover:bg-red-100">
+                Remove
+              </button>
+            </div>
+          ) : (
+            <div className="flex gap-3">
+              <label className="flex-1 bg-gray-50 text-gray-800 border border-gray-300 font-semibold py-3 rounded-lg hover:bg-gray-100 transition-colors text-sm flex items-center justify-center gap-2 cursor-pointer">
+                <Camera size={18} /> Take Photo
+                <input type="file" accept="image/*" capture="environment" className="hidden" onChange={handlePhotoSelected} />
+              </label>
+              <label className="flex-1 bg-gray-50 text-gray-800 border border-gray-300 font-semibold py-3 rounded-lg hover:bg-gray-100 transition-colors text-sm flex items-center justify-center gap-2 cursor-pointer">
+                <ImageIcon size={18} /> From Gallery
+                <input type="file" accept="image/*" className="hidden" onChange={handlePhotoSelected} />
+              </label>
+            </div>
+          )}
+        </div>
+
         {/* Info box explaining the auto-generation to staff */}
         <div className="bg-blue-50 p-4 rounded-lg border border-blue-200 mt-3 text-sm text-blue-800">
           <p className="font-semibold mb-1">Auto-Generated Product Code:</p>
           <ul className="list-disc pl-5 space-y-1 opacity-90">
-            <li><b>Format:</b> [ShopCode]SZ[ASP60_Rev]X[Serial][a-z]</li>
-            <li><b>Example:</b> CKCSZ4241X01a</li>
+            <li><b>Format:</b> [ShopCode]SZ[ASP60 coded]X[Serial][a-z, then aa, ab...]</li>
+            <li><b>Serial:</b> filled in with the shop's next free number</li>
+            {/* A worked example would give away the secret word's letters */}
+            {(isOwner || priceCipher.scheme !== 'cipher') && <li><b>Example:</b> {buildSareeCode('CKC', 1424, '01', 'a', priceCipher)}</li>}
           </ul>
         </div>
 
@@ -906,15 +4511,39 @@ export default function App() {
     </div>
   );
 
+  // Any change to what the list shows starts it again from the first page
+  const updateInventoryQuery = (apply) => {
+    apply();
+    setInventoryPage(0);
+  };
+
+  const goToInventoryPage = (page) => {
+    setInventoryPage(page);
+    contentRef.current?.scrollTo(0, 0);
+  };
+
   const renderInventoryListView = () => {
-    // Apply Inventory and Shop Filters
-    const filteredSarees = sarees.filter(s => {
-      const statusMatch = inventoryFilter === 'all' ? true : s.status === inventoryFilter;
-      const shopMatch = shopFilter === 'all' ? true : s.shopName === shopFilter;
-      return statusMatch && shopMatch;
+    const maxPrice = parseFloat(attributeFilters.maxPrice) || 0;
+    // Only one page of cards is ever on screen; a shrinking list pulls the page back in range
+    const pageCount = Math.max(1, Math.ceil(filteredSarees.length / INVENTORY_PAGE_SIZE));
+    const page = Math.min(inventoryPage, pageCount - 1);
+    const visibleSarees = filteredSarees.slice(page * INVENTORY_PAGE_SIZE, (page + 1) * INVENTORY_PAGE_SIZE);
+
+    const statusCounts = { new: 0, available: 0, sold: 0 };
+    scopedSarees.forEach(s => { statusCounts[s.status] = (statusCounts[s.status] || 0) + 1; });
+
+    // Latest sale per code, for the sold cards' price and profit
+    const saleByCode = {};
+    sales.forEach(sale => {
+      if (!saleByCode[sale.sareeCode]) saleByCode[sale.sareeCode] = sale;
     });
 
-    const uniqueShops = Array.from(new Set(sarees.map(s => s.shopName)));
+    const uniqueShops = Array.from(new Set(scopedSarees.map(s => s.shopName)));
+    const attributeOptions = Object.fromEntries(['fabric', 'colour', 'design', 'blousePiece'].map(key => [
+      key,
+      Array.from(new Set(scopedSarees.map(s => getSareeAttributeValue(s, key)))).sort()
+    ]));
+    const hasAttributeFilter = maxPrice > 0 || ['fabric', 'colour', 'design', 'blousePiece'].some(key => attributeFilters[key] !== 'all');
 
     return (
       <div className="space-y-4 flex-1 w-full">
@@ -922,20 +4551,45 @@ export default function App() {
             <h2 className="text-2xl font-bold text-gray-900">Inventory Status</h2>
             <Filter size={24} className="text-gray-500" />
         </div>
+
+        {renderExhibitionScopeToggle()}
+
+        {/* Search & Sort */}
+        <div className="flex gap-2">
+          <div className="relative flex-1 min-w-0">
+            <Search size={20} className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" />
+            <input
+              type="search"
+              value={inventorySearch}
+              onChange={(e) => updateInventoryQuery(() => setInventorySearch(e.target.value))}
+              placeholder="Code, shop, fabric, colour..."
+              className="w-full p-3 pl-10 bg-white text-gray-900 border border-gray-300 rounded-lg outline-none text-base shadow-sm"
+            />
+          </div>
+          <select
+            value={inventorySortKey}
+            onChange={(e) => updateInventoryQuery(() => setInventorySort(e.target.value))}
+            className="w-32 shrink-0 p-3 bg-white border border-gray-300 rounded-lg text-sm font-bold text-gray-700 outline-none shadow-sm"
+          >
+            {Object.entries(INVENTORY_SORTS).filter(([, sort]) => isOwner || !sort.ownerOnly).map(([key, sort]) => (
+              <option key={key} value={key}>{sort.label}</option>
+            ))}
+          </select>
+        </div>
         
         {/* Inventory Filter Toggles */}
         <div className="flex bg-gray-200 p-1.5 rounded-lg shrink-0 mb-4 shadow-inner overflow-x-auto">
-          <button onClick={() => setInventoryFilter('all')} className={`flex-1 min-w-[55px] py-2 px-1 text-xs font-bold rounded-md transition-colors ${inventoryFilter === 'all' ? 'bg-white text-gray-900 shadow-sm' : 'text-gray-600'}`}>
-            All ({sarees.length})
+          <button onClick={() => updateInventoryQuery(() => setInventoryFilter('all'))} className={`flex-1 min-w-[55px] py-2 px-1 text-xs font-bold rounded-md transition-colors ${inventoryFilter === 'all' ? 'bg-white text-gray-900 shadow-sm' : 'text-gray-600'}`}>
+            All ({scopedSarees.length})
           </button>
-          <button onClick={() => setInventoryFilter('new')} className={`flex-1 min-w-[55px] py-2 px-1 text-xs font-bold rounded-md transition-colors ${inventoryFilter === 'new' ? 'bg-white text-purple-700 shadow-sm' : 'text-gray-600'}`}>
-            New ({sarees.filter(s => s.status === 'new').length})
+          <button onClick={() => updateInventoryQuery(() => setInventoryFilter('new'))} className={`flex-1 min-w-[55px] py-2 px-1 text-xs font-bold rounded-md transition-colors ${inventoryFilter === 'new' ? 'bg-white text-purple-700 shadow-sm' : 'text-gray-600'}`}>
+            New ({statusCounts.new})
           </button>
-          <button onClick={() => setInventoryFilter('available')} className={`flex-1 min-w-[55px] py-2 px-1 text-xs font-bold rounded-md transition-colors ${inventoryFilter === 'available' ? 'bg-white text-blue-700 shadow-sm' : 'text-gray-600'}`}>
-            Avail ({sarees.filter(s => s.status === 'available').length})
+          <button onClick={() => updateInventoryQuery(() => setInventoryFilter('available'))} className={`flex-1 min-w-[55px] py-2 px-1 text-xs font-bold rounded-md transition-colors ${inventoryFilter === 'available' ? 'bg-white text-blue-700 shadow-sm' : 'text-gray-600'}`}>
+            Avail ({statusCounts.available})
           </button>
-          <button onClick={() => setInventoryFilter('sold')} className={`flex-1 min-w-[55px] py-2 px-1 text-xs font-bold rounded-md transition-colors ${inventoryFilter === 'sold' ? 'bg-white text-red-600 shadow-sm' : 'text-gray-600'}`}>
-            Sold ({sarees.filter(s => s.status === 'sold').length})
+          <button onClick={() => updateInventoryQuery(() => setInventoryFilter('sold'))} className={`flex-1 min-w-[55px] py-2 px-1 text-xs font-bold rounded-md transition-colors ${inventoryFilter === 'sold' ? 'bg-white text-red-600 shadow-sm' : 'text-gray-600'}`}>
+            Sold ({statusCounts.sold})
           </button>
         </div>
 
@@ -943,7 +4597,7 @@ export default function App() {
         {uniqueShops.length > 0 && (
           <select
             value={shopFilter}
-            onChange={(e) => setShopFilter(e.target.value)}
+            onChange={(e) => updateInventoryQuery(() => setShopFilter(e.target.value))}
             className="w-full p-4 mb-4 bg-white border border-gray-300 rounded-lg text-base font-bold text-gray-700 outline-none shadow-sm"
           >
             <option value="all">All Shops / Vendors</option>
@@ -953,12 +4607,55 @@ export default function App() {
           </select>
         )}
 
+        {/* Attribute Filters - e.g. "silk in maroon under 5000" */}
+        {scopedSarees.length > 0 && (
+          <div className="grid grid-cols-2 gap-2 mb-4">
+            {['fabric', 'colour', 'design', 'blousePiece'].map(key => (
+              <select
+                key={key}
+                value={attributeFilters[key]}
+                onChange={(e) => updateInventoryQuery(() => setAttributeFilters({ ...attributeFilters, [key]: e.target.value }))}
+                className={`w-full p-3 bg-white border rounded-lg text-sm font-bold outline-none shadow-sm ${attributeFilters[key] !== 'all' ? 'border-blue-500 text-blue-800' : 'border-gray-300 text-gray-700'}`}
+              >
+                <option value="all">Any {SAREE_ATTRIBUTE_LABELS[key]}</option>
+                {attributeOptions[key].map(value => <option key={value} value={value}>{value}</option>)}
+              </select>
+            ))}
+            <input
+              type="number"
+              min="0"
+              value={attributeFilters.maxPrice}
+              onChange={(e) => updateInventoryQuery(() => setAttributeFilters({ ...attributeFilters, maxPrice: e.target.value }))}
+              placeholder="Max MRP ₹"
+              className={`w-full p-3 bg-white border rounded-lg text-sm font-bold outline-none shadow-sm ${maxPrice ? 'border-blue-500 text-blue-800' : 'border-gray-300 text-gray-700'}`}
+            />
+            {hasAttributeFilter && (
+              <button
+                onClick={() => updateInventoryQuery(() => setAttributeFilters({ fabric: 'all', colour: 'all', design: 'all', blousePiece: 'all', maxPrice: '' }))}
+                className="w-full p-3 bg-gray-100 text-gray-700 border border-gray-300 rounded-lg text-sm font-bold hover:bg-gray-200"
+              >
+                Clear Filters
+              </button>
+            )}
+          </div>
+        )}
+
+        {shopFilter !== 'all' && isOwner && (
+          <button
+            onClick={() => openSettlements(shopFilter)}
+            className="w-full mb-4 bg-amber-50 text-amber-900 border border-amber-300 font-bold py-3 rounded-lg hover:bg-amber-100 transition-colors text-base flex justify-center items-center gap-2 shadow-sm"
+          >
+            <Receipt size={20} /> Settle with {shopFilter}
+          </button>
+        )}
+
         {/* Mark New as Available Bulk Action */}
         {inventoryFilter === 'new' && filteredSarees.length > 0 && (
           <button 
             onClick={() => {
-              const updatedSarees = sarees.map(s => s.status === 'new' ? { ...s, status: 'available' } : s);
+              const updatedSarees = sarees.map(s => s.status === 'new' && inExhibitionScope(s) ? { ...s, status: 'available' } : s);
               setSarees(updatedSarees);
+              logAudit('ITEMS_MARKED_AVAILABLE', { target: 'All new items', before: { status: 'new' }, after: { status: 'available', count: scopedSarees.filter(s => s.status === 'new').length } });
               showNotification('All New items marked as Available!');
             }}
             className="w-full mb-4 bg-purple-100 text-purple-800 border border-purple-300 font-bold py-4 rounded-lg hover:bg-purple-200 transition-colors text-base flex justify-center items-center gap-2 shadow-sm"
@@ -966,6 +4663,14 @@ export default function App() {
             <CheckCircle2 size={22} /> Mark All "New" as Available
           </button>
         )}
+        {inventoryFilter === 'new' && filteredSarees.length > 0 && (
+          <button
+            onClick={openLabelDesigner}
+            className="w-full mb-4 bg-indigo-600 text-white font-bold py-4 rounded-lg hover:bg-indigo-700 transition-colors text-base flex justify-center items-center gap-2 shadow-sm"
+          >
+            <Printer size={22} /> Print Labels for New Stock
+          </button>
+        )}
 
         {filteredSarees.length === 0 ? (
           <div className="bg-white p-8 rounded-xl border border-gray-200 text-center">
@@ -973,11 +4678,15 @@ export default function App() {
           </div>
         ) : (
           <div className="space-y-4">
-            {filteredSarees.map((saree) => (
+            <p className="text-sm text-gray-500 font-bold">{filteredSarees.length.toLocaleString()} item(s)</p>
+            {visibleSarees.map((saree) => (
               <div key={saree.id} className={`p-5 rounded-xl border ${saree.status === 'sold' ? 'bg-gray-50 border-gray-300' : 'bg-white border-blue-200 shadow-sm'} flex flex-col`}>
                   
                   <div className="flex justify-between items-start mb-2">
-                    <span className="font-mono bg-gray-200 text-gray-900 px-3 py-1.5 rounded-md text-base font-bold">{saree.code}</span>
+                    <div className="flex items-center gap-3 min-w-0">
+                      <PhotoThumb photoId={saree.photoId} size={56} onClick={() => openPhotoViewer(saree.photoId)} />
+                      <span className="font-mono bg-gray-200 text-gray-900 px-3 py-1.5 rounded-md text-base font-bold truncate">{saree.code}</span>
+                    </div>
                     <div className="flex items-center gap-3">
                       {saree.status === 'sold' ? (
                           <span className="text-sm bg-red-100 text-red-800 px-3 py-1 rounded-full font-bold">SOLD</span>
@@ -995,6 +4704,17 @@ export default function App() {
                   <h3 className={`font-bold text-lg ${saree.status === 'sold' ? 'text-gray-500' : 'text-gray-900'}`}>
                     {saree.shopName} <span className="text-sm text-gray-500 font-mono font-normal ml-1">({saree.shopCode})</span>
                   </h3>
+
+                  {['fabric', 'colour', 'design', 'length', 'blousePiece'].some(key => getSareeAttributeValue(saree, key) !== 'Unspecified') && (
+                    <div className="flex flex-wrap gap-1.5 mt-2">
+                      {['fabric', 'colour', 'design', 'length', 'blousePiece'].map(key => {
+                        const value = getSareeAttributeValue(saree, key);
+                        return value === 'Unspecified' ? null : (
+                          <span key={key} className="text-xs bg-amber-50 text-amber-900 border border-amber-200 px-2 py-0.5 rounded-full font-semibold">{value}</span>
+                        );
+                      })}
+                    </div>
+                  )}
                   
                   <div className="flex gap-4 mt-3 text-base">
                     <div className="bg-gray-100 px-3 py-1.5 rounded-md border border-gray-200">
@@ -1007,15 +4727,15 @@ export default function App() {
                     </div>
                   </div>
 
-                  {/* PROFIT DISPLAY - Only visible if the item is sold */}
-                  {saree.status === 'sold' && (
+                  {/* PROFIT DISPLAY - Only visible to the owner once the item is sold */}
+                  {saree.status === 'sold' && isOwner && (
                       <div className="mt-4 pt-4 border-t border-gray-200 flex justify-between items-end">
                         <div>
                           <span className="text-xs text-gray-500 font-bold uppercase block mb-1">Cost Price (CP)</span>
                           <span className="font-bold text-gray-800 text-lg">₹{saree.cp}</span>
                         </div>
                         {(() => {
-                            const saleInfo = sales.find(s => s.sareeCode === saree.code);
+                            const saleInfo = saleByCode[saree.code];
                             // Fallback profit calc for legacy data
                             const calculatedProfit = saleInfo ? (saleInfo.profit !== undefined ? saleInfo.profit : (saleInfo.salePrice - saree.cp)) : 0;
                             
@@ -1034,9 +4754,179 @@ export default function App() {
                       </div>
                   )}
               </div>
-            ))}
+            ))}
+            {pageCount > 1 && (
+              <div className="flex items-center justify-between gap-2 pt-2">
+                <button
+                  onClick={() => goToInventoryPage(page - 1)}
+                  disabled={page === 0}
+                  className="px-4 py-2 bg-white border border-gray-300 rounded-lg text-sm font-bold text-gray-700 disabled:opacity-40"
+                >
+                  Previous
+                </button>
+                <span className="text-sm text-gray-600 font-bold">
+                  {page * INVENTORY_PAGE_SIZE + 1}–{page * INVENTORY_PAGE_SIZE + visibleSarees.length} of {filteredSarees.length}
+                </span>
+                <button
+                  onClick={() => goToInventoryPage(page + 1)}
+                  disabled={page === pageCount - 1}
+                  className="px-4 py-2 bg-white border border-gray-300 rounded-lg text-sm font-bold text-gray-700 disabled:opacity-40"
+                >
+                  Next
+                </button>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  const renderLabelDesignerView = () => {
+    const newSarees = sarees.filter(s => s.status === 'new');
+    const isRoll = activeLabelTemplate.layout === 'roll';
+    const perSheet = isRoll ? 1 : activeLabelTemplate.columns * activeLabelTemplate.rows;
+    const pageCount = Math.ceil(labelItems.length / perSheet);
+
+    return (
+      <div className="space-y-4 flex-1 w-full pb-5">
+        <div className="flex items-center gap-3 mb-3">
+          <button onClick={() => handleTabChange('dashboard')} className="p-2 bg-white border border-gray-300 rounded-lg text-gray-700">
+            <ArrowLeft size={22} />
+          </button>
+          <h2 className="text-2xl font-bold text-gray-900">Label Designer</h2>
+        </div>
+
+        {/* Template Selection */}
+        <div className="bg-white p-5 rounded-xl shadow-sm border border-gray-200 space-y-4">
+          <div>
+            <label className="block text-sm font-bold text-gray-900 mb-1">Template</label>
+            <select
+              value={activeLabelTemplate.id}
+              onChange={(e) => setSelectedLabelTemplateId(e.target.value)}
+              className="w-full p-3 bg-white border border-gray-300 rounded-lg text-base font-bold text-gray-700 outline-none"
+            >
+              {labelTemplates.map(t => (
+                <option key={t.id} value={t.id}>{t.name}</option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label className="block text-sm font-bold text-gray-900 mb-1">Template Name</label>
+            <input
+              type="text"
+              value={activeLabelTemplate.name}
+              onChange={(e) => updateLabelTemplate('name', e.target.value)}
+              className="w-full p-3 bg-white text-gray-900 border border-gray-300 rounded-lg outline-none text-base"
+            />
+          </div>
+
+          <div className="flex bg-gray-200 p-1.5 rounded-lg">
+            <button onClick={() => updateLabelTemplate('layout', 'sheet')} className={`flex-1 py-2 text-sm font-bold rounded-md transition-colors ${!isRoll ? 'bg-white text-gray-900 shadow-sm' : 'text-gray-600'}`}>A4 Sticker Sheet</button>
+            <button onClick={() => updateLabelTemplate('layout', 'roll')} className={`flex-1 py-2 text-sm font-bold rounded-md transition-colors ${isRoll ? 'bg-white text-gray-900 shadow-sm' : 'text-gray-600'}`}>Roll Labels</button>
+          </div>
+
+          <div className="flex bg-gray-200 p-1.5 rounded-lg">
+            <button onClick={() => updateLabelTemplate('symbology', 'qr')} className={`flex-1 py-2 text-sm font-bold rounded-md transition-colors ${activeLabelTemplate.symbology === 'qr' ? 'bg-white text-gray-900 shadow-sm' : 'text-gray-600'}`}>QR Code</button>
+            <button onClick={() => updateLabelTemplate('symbology', 'code128')} className={`flex-1 py-2 text-sm font-bold rounded-md transition-colors ${activeLabelTemplate.symbology === 'code128' ? 'bg-white text-gray-900 shadow-sm' : 'text-gray-600'}`}>Barcode (Code128)</button>
+          </div>
+
+          <div className="flex gap-3 w-full">
+            <div className="flex-1 min-w-0">
+              <label className="block text-sm font-bold text-gray-900 mb-1">Width (mm)</label>
+              <input type="number" min="10" value={activeLabelTemplate.widthMm} onChange={(e) => updateLabelTemplate('widthMm', parseFloat(e.target.value) || 0)} className="w-full p-3 bg-white text-gray-900 border border-gray-300 rounded-lg outline-none text-base" />
+            </div>
+            <div className="flex-1 min-w-0">
+              <label className="block text-sm font-bold text-gray-900 mb-1">Height (mm)</label>
+              <input type="number" min="10" value={activeLabelTemplate.heightMm} onChange={(e) => updateLabelTemplate('heightMm', parseFloat(e.target.value) || 0)} className="w-full p-3 bg-white text-gray-900 border border-gray-300 rounded-lg outline-none text-base" />
+            </div>
+          </div>
+
+          {!isRoll && (
+            <div className="flex gap-3 w-full">
+              <div className="flex-1 min-w-0">
+                <label className="block text-sm font-bold text-gray-900 mb-1">Columns</label>
+                <input type="number" min="1" value={activeLabelTemplate.columns} onChange={(e) => updateLabelTemplate('columns', parseInt(e.target.value) || 1)} className="w-full p-3 bg-white text-gray-900 border border-gray-300 rounded-lg outline-none text-base" />
+              </div>
+              <div className="flex-1 min-w-0">
+                <label className="block text-sm font-bold text-gray-900 mb-1">Rows</label>
+                <input type="number" min="1" value={activeLabelTemplate.rows} onChange={(e) => updateLabelTemplate('rows', parseInt(e.target.value) || 1)} className="w-full p-3 bg-white text-gray-900 border border-gray-300 rounded-lg outline-none text-base" />
+              </div>
+            </div>
+          )}
+          {!isRoll && (activeLabelTemplate.columns * activeLabelTemplate.widthMm > A4_WIDTH_MM || activeLabelTemplate.rows * activeLabelTemplate.heightMm > A4_HEIGHT_MM) && (
+            <p className="text-sm text-red-600 font-bold">These labels do not fit on an A4 sheet (210 x 297 mm).</p>
+          )}
+
+          <div>
+            <p className="text-sm font-bold text-gray-900 mb-2">Show on Label</p>
+            <div className="flex gap-2">
+              {[['showMRP', 'MRP'], ['showShop', 'Shop'], ['showCode', 'Code']].map(([field, label]) => (
+                <button
+                  key={field}
+                  onClick={() => updateLabelTemplate(field, !activeLabelTemplate[field])}
+                  className={`flex-1 py-2 text-sm font-bold rounded-lg border transition-colors ${activeLabelTemplate[field] ? 'bg-indigo-50 border-indigo-400 text-indigo-700' : 'bg-gray-50 border-gray-200 text-gray-500'}`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
           </div>
-        )}
+
+          <div className="flex gap-3">
+            <button onClick={duplicateLabelTemplate} className="flex-1 bg-gray-100 text-gray-800 border border-gray-300 font-semibold py-3 rounded-lg hover:bg-gray-200 transition-colors text-sm">
+              Save as New Template
+            </button>
+            {activeLabelTemplate.custom && (
+              <button onClick={deleteLabelTemplate} className="flex-1 bg-red-50 text-red-700 border border-red-300 font-semibold py-3 rounded-lg hover:bg-red-100 transition-colors text-sm">
+                Delete Template
+              </button>
+            )}
+          </div>
+        </div>
+
+        {/* Preview */}
+        <div className="bg-white p-5 rounded-xl shadow-sm border border-gray-200">
+          <h3 className="font-bold text-gray-900 mb-3 text-lg">Preview</h3>
+          <div className="bg-gray-100 rounded-lg overflow-hidden border border-gray-200">
+            <iframe title="Label preview" srcDoc={labelPreviewHTML} className="w-full bg-white" style={{ height: isRoll ? 160 : 420 }} />
+          </div>
+        </div>
+
+        {/* Items to Print */}
+        <div className="bg-white p-5 rounded-xl shadow-sm border border-gray-200">
+          <div className="flex justify-between items-center mb-3">
+            <h3 className="font-bold text-gray-900 text-lg">New Items</h3>
+            <span className="bg-indigo-100 text-indigo-800 text-sm px-3 py-1 rounded-full font-bold">{labelItems.length} / {newSarees.length}</span>
+          </div>
+          {newSarees.length === 0 ? (
+            <p className="text-gray-500 text-base">No new items waiting for labels.</p>
+          ) : (
+            <div className="max-h-64 overflow-y-auto divide-y divide-gray-100 border border-gray-100 rounded-lg">
+              {newSarees.map(s => (
+                <label key={s.id} className="flex items-center gap-3 p-3 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={!labelExcludedIds[s.id]}
+                    onChange={() => setLabelExcludedIds(prev => ({ ...prev, [s.id]: !prev[s.id] }))}
+                    className="w-5 h-5"
+                  />
+                  <span className="font-mono font-bold text-gray-900 flex-1">{s.code}</span>
+                  <span className="text-sm text-gray-600">₹{s.mrp}</span>
+                </label>
+              ))}
+            </div>
+          )}
+        </div>
+
+        <button
+          onClick={handlePrintLabels}
+          disabled={labelItems.length === 0}
+          className="w-full bg-indigo-600 text-white font-bold text-lg py-4 rounded-xl hover:bg-indigo-700 flex justify-center items-center gap-2 shadow-md disabled:opacity-50"
+        >
+          <Printer size={24} /> Print {labelItems.length} Labels {!isRoll && pageCount > 0 ? `(${pageCount} sheet${pageCount > 1 ? 's' : ''})` : ''}
+        </button>
       </div>
     );
   };
@@ -1068,9 +4958,17 @@ export default function App() {
               <h2 className="text-xl font-bold text-white">
                 {scanMode === 'SELL' ? 'Scan to Add' : 'Scan to Return'}
               </h2>
-              <button onClick={startCameraScanner} className="bg-blue-600 p-2.5 rounded-lg text-white">
-                <Camera size={24} />
-              </button>
+              <div className="flex items-center gap-3">
+                {scanMode === 'SELL' && (
+                  <label className="flex items-center gap-2 text-sm font-bold text-gray-300 cursor-pointer">
+                    <input type="checkbox" checked={continuousScan} onChange={(e) => setContinuousScan(e.target.checked)} className="w-4 h-4" />
+                    Continuous
+                  </label>
+                )}
+                <button onClick={startCameraScanner} className="bg-blue-600 p-2.5 rounded-lg text-white">
+                  <Camera size={24} />
+                </button>
+              </div>
             </div>
             <form onSubmit={(e) => { e.preventDefault(); handleScanInput(e.target.scanCode.value); e.target.reset(); }} className="flex gap-3 w-full">
               <input autoFocus required name="scanCode" type="text" placeholder="Product Code" className="flex-1 w-full min-w-0 p-4 bg-white text-gray-900 rounded-lg font-mono uppercase outline-none text-base" />
@@ -1082,10 +4980,26 @@ export default function App() {
         ) : (
           <div className="flex flex-col items-center w-full h-full">
             <div className="flex justify-between w-full mb-3">
-              <h3 className="font-bold text-lg text-white">Scanning...</h3>
+              <h3 className="font-bold text-lg text-white">{continuousScan && scanMode === 'SELL' ? `Scanning... ${scanSession.filter(entry => entry.ok).length} added` : 'Scanning...'}</h3>
               <button onClick={stopCameraScanner} className="text-red-400"><X size={28} /></button>
             </div>
-            <div id="reader" className="w-full aspect-square bg-black rounded-lg overflow-hidden border-2 border-dashed border-gray-500"></div>
+            <div className="relative w-full">
+              <div id="reader" className="w-full aspect-square bg-black rounded-lg overflow-hidden border-2 border-dashed border-gray-500"></div>
+              {/* Running list of this session's scans */}
+              {scanSession.length > 0 && (
+                <div className="absolute left-2 right-2 bottom-2 max-h-32 overflow-y-auto bg-black bg-opacity-70 rounded-lg p-2 text-left space-y-1 z-10">
+                  {scanSession.map(entry => (
+                    <p key={`${entry.code}-${entry.at}`} className={`font-mono text-sm font-bold flex items-center gap-2 ${entry.ok ? 'text-green-300' : 'text-red-300'}`}>
+                      {entry.ok ? <CheckCircle2 size={14} className="shrink-0" /> : <AlertCircle size={14} className="shrink-0" />}
+                      {entry.code}
+                    </p>
+                  ))}
+                </div>
+              )}
+            </div>
+            {continuousScan && scanMode === 'SELL' && (
+              <button onClick={stopCameraScanner} className="mt-3 w-full bg-green-600 text-white font-bold py-3 rounded-lg">Done Scanning</button>
+            )}
           </div>
         )}
       </div>
@@ -1093,10 +5007,53 @@ export default function App() {
       {/* Cart Display (Only in SELL mode) */}
       {scanMode === 'SELL' && (
         <div className="mt-5 flex-1 flex flex-col">
+          {/* Held Carts */}
+          {heldCarts.length > 0 && (
+            <div className="mb-4 space-y-2">
+              <p className="text-xs text-gray-500 font-bold uppercase">Held Carts</p>
+              {heldCarts.map(held => (
+                <div key={held.id} className="bg-amber-50 border border-amber-300 rounded-xl p-3 flex items-center gap-2">
+                  <div className="min-w-0 flex-1">
+                    <p className="font-bold text-amber-900 truncate">{held.label}</p>
+                    <p className="text-xs text-amber-800">
+                      {held.items.length} item(s) · since {new Date(held.heldAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                    </p>
+                  </div>
+                  <button onClick={() => resumeHeldCart(held.id)} className="bg-amber-600 text-white text-sm font-bold px-3 py-2 rounded-lg shrink-0">Resume</button>
+                  <button onClick={() => discardHeldCart(held.id)} className="text-red-500 p-2 bg-white border border-red-200 rounded-lg shrink-0">
+                    <Trash2 size={18} />
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+
           <h3 className="font-bold text-gray-800 mb-3 flex justify-between items-center text-lg">
             Current Cart
-            <span className="bg-blue-100 text-blue-800 text-sm px-3 py-1 rounded-full">{cart.length} Items</span>
+            <span className="flex items-center gap-2">
+              {cart.length > 0 && holdCartLabel === null && (
+                <button onClick={openHoldCart} className="bg-amber-100 text-amber-900 text-sm px-3 py-1 rounded-full font-bold">Hold</button>
+              )}
+              <span className="bg-blue-100 text-blue-800 text-sm px-3 py-1 rounded-full">{cart.length} Items</span>
+            </span>
           </h3>
+
+          {holdCartLabel !== null && (
+            <form onSubmit={(e) => { e.preventDefault(); confirmHoldCart(); }} className="mb-4 flex gap-2">
+              <input
+                autoFocus
+                type="text"
+                value={holdCartLabel}
+                onChange={(e) => setHoldCartLabel(e.target.value)}
+                placeholder="Name or description"
+                className="flex-1 min-w-0 p-3 bg-white text-gray-900 border border-amber-300 rounded-lg outline-none text-base"
+              />
+              <button type="submit" className="bg-amber-600 text-white font-bold px-4 rounded-lg shrink-0">Hold</button>
+              <button type="button" onClick={() => setHoldCartLabel(null)} className="bg-gray-100 text-gray-700 font-bold px-3 rounded-lg shrink-0">
+                <X size={20} />
+              </button>
+            </form>
+          )}
           
           {cart.length === 0 ? (
             <div className="bg-white border border-dashed border-gray-300 rounded-xl flex-1 flex flex-col items-center justify-center p-8">
@@ -1108,18 +5065,17 @@ export default function App() {
               {cart.map((item, idx) => (
                 <div key={idx} className="bg-white border border-gray-200 rounded-xl p-4 shadow-sm">
                   <div className="flex justify-between items-start mb-3">
-                    <div>
-                      <span className="font-mono font-bold text-base text-gray-900">{item.saree.code}</span>
-                      <p className="text-sm text-gray-500 truncate max-w-[200px] mt-0.5">{item.saree.shopName} ({item.saree.shopCode})</p>
+                    <div className="flex items-center gap-3 min-w-0">
+                      <PhotoThumb photoId={item.saree.photoId} onClick={() => openPhotoViewer(item.saree.photoId)} />
+                      <div className="min-w-0">
+                        <span className="font-mono font-bold text-base text-gray-900">{item.saree.code}</span>
+                        <p className="text-sm text-gray-500 truncate max-w-[200px] mt-0.5">{item.saree.shopName} ({item.saree.shopCode})</p>
+                      </div>
                     </div>
                     <button
                       onClick={() => {
-                        const updatedSarees = [...sarees];
-                        const itemIndex = sarees.findIndex(s => s.code === item.saree.code);
-                        if(itemIndex > -1){
-                           updatedSarees[itemIndex].status = "available";
-                        }
-                        setSarees(updatedSarees);
+                        // Replace rather than mutate so the change is picked up for saving
+                        setSarees(sarees.map(s => s.code === item.saree.code ? { ...s, status: 'available' } : s));
                         removeCartItem(idx);
                       }}
                       className="text-red-500 p-2 bg-red-50 rounded-lg shrink-0 transition-colors hover:bg-red-100 hover:text-red-700"
@@ -1153,6 +5109,18 @@ export default function App() {
                     </button>
                   </div>
 
+                  {cartLines[idx].finalPrice < getPriceFloor(item.saree, minMarginPercent) && (
+                    <p className="text-sm text-red-700 font-bold mt-2 bg-red-50 border border-red-200 rounded-lg p-2 flex items-center gap-2">
+                      <AlertCircle size={16} className="shrink-0" />
+                      {isOwner
+                        ? `Selling at ₹${cartLines[idx].finalPrice.toLocaleString()}, under the ₹${getPriceFloor(item.saree, minMarginPercent).toLocaleString()} floor (CP ₹${item.saree.cp})`
+                        : 'Below the allowed price. Owner approval needed.'}
+                    </p>
+                  )}
+                  {cartLines[idx].discountRules.map(rule => (
+                    <p key={rule.id} className="text-sm text-green-700 font-bold mt-2">{rule.name}: −₹{rule.amount.toLocaleString()}</p>
+                  ))}
+
                   {/* Custom Price Input */}
                   {item.selection === 'CUSTOM' && (
                     <div className="mt-3 flex items-center gap-3">
@@ -1178,6 +5146,12 @@ export default function App() {
                 <span className="text-gray-600 font-bold text-base">Subtotal:</span>
                 <span className="text-gray-800 font-bold text-lg">₹{getCartSubtotal().toLocaleString()}</span>
               </div>
+              {cartOffers.map(offer => (
+                <div key={offer.id} className="flex justify-between items-center mb-2 text-green-700">
+                  <span className="font-bold text-base">{offer.name}:</span>
+                  <span className="font-bold text-lg">−₹{offer.amount.toLocaleString()}</span>
+                </div>
+              ))}
               <div className="flex justify-between items-center mb-4">
                 <span className="text-gray-600 font-bold text-base">Extra Discount:</span>
                 <div className="flex items-center gap-2">
@@ -1187,7 +5161,7 @@ export default function App() {
                     type="number" 
                     min="0" 
                     value={extraDiscount || ''} 
-                    onChange={(e) => setExtraDiscount(parseFloat(e.target.value) || 0)} 
+                    onChange={(e) => setExtraDiscount(Math.max(0, parseFloat(e.target.value) || 0))} 
                     className="w-28 p-2 bg-white text-gray-900 border border-gray-400 rounded-lg text-right font-bold outline-none focus:border-blue-500 text-lg shadow-sm"
                     placeholder="0"
                   />
@@ -1198,10 +5172,10 @@ export default function App() {
                 <span className="text-4xl font-black text-gray-900">₹{getCartFinalTotal().toLocaleString()}</span>
               </div>
               <button 
-                onClick={() => setShowPaymentModal(true)}
-                className="w-full bg-green-600 text-white font-black py-4 rounded-xl text-xl hover:bg-green-700 shadow-md"
+                onClick={startCheckout}
+                className={`w-full text-white font-black py-4 rounded-xl text-xl shadow-md ${needsPriceOverride ? 'bg-red-600 hover:bg-red-700' : 'bg-green-600 hover:bg-green-700'}`}
               >
-                Checkout Items
+                {needsPriceOverride ? 'Checkout (Owner Approval)' : 'Checkout Items'}
               </button>
             </div>
           )}
@@ -1219,7 +5193,7 @@ export default function App() {
             Scan an item or enter its code above to process a return.
           </p>
           <p className="text-sm text-gray-400 mt-3 text-center">
-            The item will be immediately moved back to your available inventory and removed from the active sales log.
+            The item moves back to your available inventory and a refund is recorded against its original sale.
           </p>
         </div>
       )}
@@ -1231,16 +5205,16 @@ export default function App() {
     const startOfDay = new Date(now.getFullYear(), now.getMonth(), now.getDate()).getTime();
     const startOfWeek = startOfDay - (6 * 24 * 60 * 60 * 1000);
 
-    let displayedSales = sales;
+    let displayedSales = scopedSales;
     const isSearching = salesSearchQuery.trim().length > 0;
 
     // Apply Search vs Time Filters
     if (isSearching) {
       const q = salesSearchQuery.toLowerCase().trim();
-      displayedSales = sales.filter(s => s.sareeCode.toLowerCase().includes(q));
+      displayedSales = scopedSales.filter(s => s.sareeCode.toLowerCase().includes(q));
     } else {
-      displayedSales = sales.filter(s => {
-        const saleTime = s.timestampISO ? new Date(s.timestampISO).getTime() : new Date(s.saleDate).getTime();
+      displayedSales = scopedSales.filter(s => {
+        const saleTime = getRecordTime(s);
         if (salesTimeFilter === 'today') return saleTime >= startOfDay;
         if (salesTimeFilter === '7day') return saleTime >= startOfWeek;
         return true;
@@ -1248,21 +5222,34 @@ export default function App() {
     }
 
     // Apply grouping by transaction timestamp
+    // Returned items stay in their original transaction, struck through
+    const refundsBySaleId = Object.fromEntries(refunds.filter(r => r.saleId).map(r => [r.saleId, r]));
+
+    const photoIdByCode = Object.fromEntries(sarees.filter(s => s.photoId).map(s => [s.code, s.photoId]));
+
     const groupedSales = displayedSales.reduce((acc, sale) => {
-      const groupId = sale.timestampISO || sale.saleDate;
+      const groupId = getTransactionId(sale);
       if (!acc[groupId]) {
         acc[groupId] = {
           id: groupId,
+          receiptNo: sale.receiptNo,
           time: sale.saleDate,
           timestampISO: sale.timestampISO,
           paymentMethod: sale.paymentMethod,
+          customer: sale.customerId ? customers.find(c => c.id === sale.customerId) : null,
           totalAmount: 0,
           totalProfit: 0,
+          totalRefunded: 0,
           items: []
         };
       }
       acc[groupId].totalAmount += (sale.salePrice || 0);
       acc[groupId].totalProfit += (sale.profit || 0);
+      const refund = refundsBySaleId[sale.id];
+      if (refund) {
+        acc[groupId].totalRefunded += refund.refundAmount || 0;
+        acc[groupId].totalProfit -= getRefundProfitReversal(refund);
+      }
       acc[groupId].items.push(sale);
       return acc;
     }, {});
@@ -1277,6 +5264,8 @@ export default function App() {
     return (
       <div className="space-y-4 flex-1 w-full pb-5">
         <h2 className="text-2xl font-bold text-gray-900 mb-3">Sales Log</h2>
+
+        {renderExhibitionScopeToggle()}
         
         {/* Search Bar */}
         <div className="relative mb-4">
@@ -1328,25 +5317,52 @@ export default function App() {
                     className="bg-gray-50 p-4 border-b border-gray-200 flex justify-between items-center cursor-pointer hover:bg-gray-100 transition-colors"
                   >
                     <div>
-                      <p className="text-sm text-gray-500 font-bold uppercase mb-1.5">{group.time}</p>
+                      <p className="text-sm text-gray-500 font-bold uppercase mb-1.5">
+                        {group.time}
+                        {group.receiptNo && <span className="ml-2 font-mono text-gray-400">#{group.receiptNo}</span>}
+                      </p>
+                      {group.customer && (
+                        <p className="text-sm text-blue-800 font-bold mb-1.5 flex items-center gap-1">
+                          <Users size={14} /> {group.customer.name || group.customer.phone}
+                        </p>
+                      )}
                       <div className="flex items-center gap-2">
                         <button
                           onClick={(e) => {
                             e.stopPropagation();
                             togglePaymentMethod(group.id);
                           }}
-                          className={`flex items-center gap-1 px-2.5 py-1 rounded-md text-xs uppercase font-bold text-white shadow-sm transition-transform active:scale-95 ${group.paymentMethod === 'UPI' ? 'bg-blue-600 hover:bg-blue-700' : 'bg-green-600 hover:bg-green-700'}`}
-                          title="Click to switch payment method"
+                          className={`flex items-center gap-1 px-2.5 py-1 rounded-md text-xs uppercase font-bold text-white shadow-sm transition-transform active:scale-95 hover:opacity-90 ${PAYMENT_METHOD_COLORS[group.paymentMethod || 'Cash'] || 'bg-green-600'}`}
+                          title={group.paymentMethod === 'Split' ? 'Split payment' : 'Click to switch payment method'}
+                        >
+                          {group.paymentMethod || 'CASH'} {group.paymentMethod !== 'Split' && <ArrowRightLeft size={12} />}
+                        </button>
+                        <button
+                          onClick={(e) => {
+                            e.stopPropagation();
+                            // Rebuild from every row of the transaction, not just the filtered ones
+                            setReceiptToShow(buildTransactionFromSales(sales.filter(s => getTransactionId(s) === group.id)));
+                          }}
+                          className="flex items-center gap-1 px-2.5 py-1 rounded-md text-xs uppercase font-bold bg-white border border-gray-300 text-gray-700 shadow-sm hover:bg-gray-100"
+                          title="View or reprint receipt"
                         >
-                          {group.paymentMethod || 'CASH'} <ArrowRightLeft size={12} />
+                          <Printer size={12} /> Receipt
                         </button>
                         <span className="text-sm text-gray-600 font-bold">{group.items.length} item(s)</span>
                       </div>
                     </div>
                     <div className="text-right flex items-center gap-3">
                       <div>
-                        <p className="font-black text-gray-900 text-xl">₹{group.totalAmount}</p>
-                        <p className="text-xs text-green-600 font-bold mt-0.5">Total Profit: +₹{group.totalProfit}</p>
+                        <p className="font-black text-gray-900 text-xl">₹{group.totalAmount - group.totalRefunded}</p>
+                        {group.totalRefunded > 0 && (
+                          <p className="text-xs text-red-600 font-bold mt-0.5">Refunded: −₹{group.totalRefunded}</p>
+                        )}
+                        {isOwner && <p className="text-xs text-green-600 font-bold mt-0.5">Total Profit: +₹{group.totalProfit}</p>}
+                        {group.paymentMethod === 'Split' && (
+                          <p className="text-xs text-gray-500 font-bold mt-0.5">
+                            {Object.entries(sumPayments(group.items)).map(([method, amount]) => `${method} ₹${amount.toLocaleString()}`).join(' · ')}
+                          </p>
+                        )}
                       </div>
                       <div className="text-gray-500 ml-1">
                         {isExpanded ? <ChevronUp size={24} /> : <ChevronDown size={24} />}
@@ -1359,16 +5375,26 @@ export default function App() {
                     <div className="divide-y divide-gray-100">
                       {group.items.map((sale) => {
                         const isMatch = isSearching && sale.sareeCode.toLowerCase().includes(salesSearchQuery.toLowerCase().trim());
+                        const refund = refundsBySaleId[sale.id];
                         return (
                           <div key={sale.id} className={`p-4 flex justify-between items-center hover:bg-gray-50 transition-colors ${isMatch ? 'bg-yellow-100' : 'bg-white'}`}>
-                            <div>
-                              <p className="font-bold text-gray-800 font-mono text-base">{sale.sareeCode}</p>
-                              {sale.profit !== undefined && (
-                                 <p className="text-xs text-green-600 font-bold mt-1">Profit: +₹{sale.profit}</p>
-                              )}
+                            <div className="flex items-center gap-3 min-w-0">
+                              <PhotoThumb photoId={photoIdByCode[sale.sareeCode]} size={40} onClick={() => openPhotoViewer(photoIdByCode[sale.sareeCode])} />
+                              <div>
+                                <p className={`font-bold font-mono text-base ${refund ? 'text-gray-400 line-through' : 'text-gray-800'}`}>{sale.sareeCode}</p>
+                                {isOwner && sale.profit !== undefined && !refund && (
+                                   <p className="text-xs text-green-600 font-bold mt-1">Profit: +₹{sale.profit}</p>
+                                )}
+                                {refund && (
+                                   <p className="text-xs text-red-600 font-bold mt-1">
+                                     RETURNED {refund.refundDate} · −₹{refund.refundAmount} via {refund.refundMethod}
+                                     <span className="block text-gray-500 font-medium">{refund.reason}</span>
+                                   </p>
+                                )}
+                              </div>
                             </div>
                             <div className="text-right">
-                              <p className="font-bold text-gray-800 text-base">₹{sale.salePrice}</p>
+                              <p className={`font-bold text-base ${refund ? 'text-gray-400 line-through' : 'text-gray-800'}`}>₹{sale.salePrice}</p>
                             </div>
                           </div>
                         );
@@ -1394,8 +5420,17 @@ export default function App() {
             <Tag size={28} className="text-blue-300" />
             SareeOffline PoS
           </h1>
-          <p className="text-blue-200 text-sm mt-1 font-medium">Local Exhibition Mode (Offline)</p>
+          <button onClick={() => handleTabChange('exhibitions')} className="text-blue-200 text-sm mt-1 font-medium flex items-center gap-1 bg-transparent p-0 border-0 hover:text-white text-left">
+            <MapPin size={14} className="shrink-0" />
+            <span className="truncate">{activeExhibition ? `${activeExhibition.name}${activeExhibition.city ? `, ${activeExhibition.city}` : ''}` : 'Local Exhibition Mode (Offline)'}</span>
+          </button>
         </div>
+        {currentRole && (
+          <button onClick={lockApp} className="flex flex-col items-center text-blue-200 hover:text-white shrink-0 bg-transparent">
+            <Lock size={22} />
+            <span className="text-xs font-bold mt-0.5">{ROLE_LABELS[currentRole]}</span>
+          </button>
+        )}
       </div>
 
       {/* Notification Toast */}
@@ -1407,44 +5442,170 @@ export default function App() {
       )}
 
       {/* Main Content Area */}
-      <div className="flex-1 overflow-y-auto w-full relative z-0">
+      <div ref={contentRef} className="flex-1 overflow-y-auto w-full relative z-0">
         <div className="p-5 pb-36 flex flex-col min-h-full">
+          {/* App Update Prompt */}
+          {waitingWorker && (
+            <div className="bg-blue-50 border border-blue-300 rounded-xl p-4 mb-5 shadow-sm shrink-0 flex items-center gap-3">
+              <RefreshCcw size={22} className="text-blue-700 shrink-0" />
+              <p className="text-sm text-blue-900 font-bold flex-1">Update available. Reload to use the new version; the cart is kept.</p>
+              <button onClick={applyAppUpdate} className="bg-blue-600 text-white font-bold px-4 py-2 rounded-lg shrink-0">Reload</button>
+            </div>
+          )}
+
+          {/* Unfinished Checkout Banner */}
+          {unfinishedCheckout && (
+            <div className="bg-amber-50 border border-amber-300 rounded-xl p-4 mb-5 shadow-sm shrink-0">
+              <p className="font-bold text-amber-900 flex items-center gap-2">
+                <AlertCircle size={20} className="shrink-0" /> Unfinished sale found
+              </p>
+              <p className="text-sm text-amber-800 mt-1">
+                {unfinishedCheckout.items.length} item(s) from {new Date(unfinishedCheckout.savedAt).toLocaleString()}: <span className="font-mono">{unfinishedCheckout.items.map(item => item.saree.code).join(', ')}</span>
+              </p>
+              <div className="flex gap-3 mt-3">
+                <button onClick={discardUnfinishedCheckout} className="flex-1 bg-white text-gray-700 border border-gray-300 font-bold py-2 rounded-lg">Discard</button>
+                <button onClick={resumeUnfinishedCheckout} className="flex-1 bg-amber-600 text-white font-bold py-2 rounded-lg">Resume</button>
+              </div>
+            </div>
+          )}
           {activeTab === 'dashboard' && renderDashboardView()}
-          {activeTab === 'add' && renderAddInventoryView()}
+          {activeTab === 'add' && isOwner && renderAddInventoryView()}
           {activeTab === 'inventory' && renderInventoryListView()}
           {activeTab === 'scan' && renderPointOfSaleView()}
           {activeTab === 'log' && renderSalesLogView()}
+          {activeTab === 'labels' && renderLabelDesignerView()}
+          {activeTab === 'exhibitions' && renderExhibitionsView()}
+          {activeTab === 'settlements' && isOwner && renderSettlementsView()}
+          {activeTab === 'audit' && isOwner && renderAuditLogView()}
+          {activeTab === 'discounts' && isOwner && renderDiscountRulesView()}
+          {activeTab === 'codes' && isOwner && renderPriceCodesView()}
+          {activeTab === 'customers' && renderCustomersView()}
         </div>
       </div>
 
       {/* Payment Modal Overlay */}
       {showPaymentModal && (
         <div className="absolute inset-0 bg-black bg-opacity-80 z-50 flex items-center justify-center p-4">
-          <div className="bg-white rounded-2xl w-full max-w-sm p-7 flex flex-col items-center shadow-2xl">
+          <div className="bg-white rounded-2xl w-full max-w-sm p-7 flex flex-col items-center shadow-2xl max-h-full overflow-y-auto">
             <h2 className="text-2xl font-black text-gray-900 mb-2">Receive Payment</h2>
             <p className="text-gray-500 mb-5 text-base text-center">Amount due: <b className="text-gray-900 text-xl">₹{getCartFinalTotal().toLocaleString()}</b></p>
             
             <div className="bg-gray-50 p-5 rounded-xl border border-gray-200 w-full flex flex-col items-center mb-6 justify-center">
               <p className="text-base text-gray-700 font-bold text-center mb-4">Select payment method received:</p>
               <div className="flex w-full gap-3">
-                <button 
-                  onClick={() => setPaymentMethod('Cash')}
-                  className={`flex-1 py-4 rounded-xl text-lg font-bold transition-colors ${paymentMethod === 'Cash' ? 'bg-green-600 text-white shadow-md' : 'bg-gray-200 text-gray-700'}`}
-                >
-                  CASH
-                </button>
-                <button 
-                  onClick={() => setPaymentMethod('UPI')}
-                  className={`flex-1 py-4 rounded-xl text-lg font-bold transition-colors ${paymentMethod === 'UPI' ? 'bg-blue-600 text-white shadow-md' : 'bg-gray-200 text-gray-700'}`}
-                >
-                  UPI
-                </button>
+                {PAYMENT_METHODS.map(method => (
+                  <button 
+                    key={method}
+                    onClick={() => payFullAmountWith(method)}
+                    className={`flex-1 py-4 rounded-xl text-lg font-bold uppercase transition-colors ${tenders.length === 1 && tenders[0].method === method ? `${PAYMENT_METHOD_COLORS[method]} text-white shadow-md` : 'bg-gray-200 text-gray-700'}`}
+                  >
+                    {method}
+                  </button>
+                ))}
               </div>
+
+              {/* Split Tenders - each row is one payment towards the total */}
+              {tenders.length > 1 && (
+                <div className="w-full mt-4 space-y-3">
+                  {tenders.map((tender, idx) => (
+                    <div key={idx} className="flex items-center gap-2 w-full">
+                      <select
+                        value={tender.method}
+                        onChange={(e) => updateTender(idx, 'method', e.target.value)}
+                        className="p-3 bg-white text-gray-900 border border-gray-300 rounded-lg font-bold outline-none text-base"
+                      >
+                        {PAYMENT_METHODS.map(method => <option key={method} value={method}>{method}</option>)}
+                      </select>
+                      <span className="text-gray-500 font-bold">₹</span>
+                      <input
+                        type="number"
+                        min="0"
+                        value={tender.amount || ''}
+                        onChange={(e) => updateTender(idx, 'amount', Math.max(0, parseFloat(e.target.value) || 0))}
+                        className="flex-1 w-full min-w-0 p-3 bg-white text-gray-900 border border-gray-300 rounded-lg outline-none font-bold text-base text-right"
+                        placeholder="0"
+                      />
+                      <button onClick={() => removeTender(idx)} className="text-red-500 p-2 bg-red-50 rounded-lg shrink-0 hover:bg-red-100">
+                        <X size={18} />
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              <button
+                onClick={addTender}
+                className="mt-4 w-full bg-white text-gray-800 border border-dashed border-gray-400 font-bold py-3 rounded-xl text-base hover:bg-gray-100"
+              >
+                + Split Payment
+              </button>
+
+              {(() => {
+                const remaining = getCartFinalTotal() - getTendersTotal();
+                return (
+                  <p className={`mt-3 text-base font-bold ${remaining === 0 ? 'text-green-700' : 'text-red-600'}`}>
+                    {remaining === 0 ? 'Fully paid' : remaining > 0 ? `Remaining: ₹${remaining.toLocaleString()}` : `Over by: ₹${(-remaining).toLocaleString()}`}
+                  </p>
+                );
+              })()}
             </div>
 
+            {/* Optional Customer Capture */}
+            {customerDraft ? (
+              <div className="w-full bg-gray-50 p-4 rounded-xl border border-gray-200 mb-6 space-y-2">
+                <div className="flex justify-between items-center">
+                  <p className="text-base text-gray-700 font-bold">Customer</p>
+                  <button onClick={() => setCustomerDraft(null)} className="text-gray-500 p-1 hover:text-gray-800">
+                    <X size={18} />
+                  </button>
+                </div>
+                <input
+                  type="tel"
+                  inputMode="numeric"
+                  value={customerDraft.phone}
+                  onChange={(e) => updateCustomerDraft('phone', e.target.value)}
+                  placeholder="Phone number"
+                  className="w-full p-3 bg-white text-gray-900 border border-gray-300 rounded-lg outline-none text-base font-bold"
+                />
+                {normalizePhone(customerDraft.phone).length < 10 && getCustomerMatches(customerDraft.phone).map(c => (
+                  <button
+                    key={c.id}
+                    onClick={() => setCustomerDraft({ name: c.name, phone: c.phone, city: c.city || '' })}
+                    className="w-full text-left p-2 bg-blue-50 border border-blue-200 rounded-lg text-sm"
+                  >
+                    <span className="font-bold text-blue-900">{c.name || 'Unnamed'}</span>
+                    <span className="text-blue-700 font-mono ml-2">{c.phone}</span>
+                    {c.city && <span className="text-gray-500 ml-2">{c.city}</span>}
+                  </button>
+                ))}
+                <input
+                  type="text"
+                  value={customerDraft.name}
+                  onChange={(e) => updateCustomerDraft('name', e.target.value)}
+                  placeholder="Name"
+                  className="w-full p-3 bg-white text-gray-900 border border-gray-300 rounded-lg outline-none text-base"
+                />
+                <input
+                  type="text"
+                  value={customerDraft.city}
+                  onChange={(e) => updateCustomerDraft('city', e.target.value)}
+                  placeholder="City"
+                  className="w-full p-3 bg-white text-gray-900 border border-gray-300 rounded-lg outline-none text-base"
+                />
+              </div>
+            ) : (
+              <button
+                onClick={() => setCustomerDraft({ name: '', phone: '', city: '' })}
+                className="w-full mb-6 bg-white text-blue-800 border border-dashed border-blue-300 font-bold py-3 rounded-xl text-base hover:bg-blue-50 flex justify-center items-center gap-2"
+              >
+                <Users size={20} /> Add Customer (optional)
+              </button>
+            )}
+
             <button 
               onClick={completeSaleTransaction}
-              className="w-full bg-gray-900 text-white font-bold py-4 rounded-xl text-xl hover:bg-black mb-3 shadow-md"
+              disabled={getTendersTotal() !== getCartFinalTotal() || tenders.some(t => t.amount < 0)}
+              className="w-full bg-gray-900 text-white font-bold py-4 rounded-xl text-xl hover:bg-black mb-3 shadow-md disabled:opacity-40"
             >
               Confirm Sale
             </button>
@@ -1458,6 +5619,252 @@ export default function App() {
         </div>
       )}
 
+      {/* Return / Refund Modal Overlay */}
+      {returnDraft && (
+        <div className="absolute inset-0 bg-black bg-opacity-80 z-50 flex items-center justify-center p-4">
+          <div className="bg-white rounded-2xl w-full max-w-sm p-7 flex flex-col shadow-2xl border-2 border-red-500">
+            <h2 className="text-2xl font-black text-gray-900 mb-1 text-center">Process Return</h2>
+            <p className="text-center font-mono font-bold text-lg text-gray-900">{returnDraft.saree.code}</p>
+            <p className="text-center text-sm text-gray-500 mb-5">
+              Sold {returnDraft.sale.saleDate} for ₹{returnDraft.sale.salePrice}{returnDraft.sale.receiptNo ? ` (#${returnDraft.sale.receiptNo})` : ''}
+            </p>
+
+            <label className="block text-sm font-bold text-gray-900 mb-1">Refund Amount (₹)</label>
+            <input
+              type="number"
+              min="0"
+              value={returnDraft.refundAmount}
+              onChange={(e) => setReturnDraft({ ...returnDraft, refundAmount: e.target.value })}
+              className="w-full p-3 mb-4 bg-white text-gray-900 border border-gray-300 rounded-lg outline-none font-bold text-lg"
+            />
+
+            <label className="block text-sm font-bold text-gray-900 mb-1">Reason</label>
+            <select
+              value={returnDraft.reason}
+              onChange={(e) => setReturnDraft({ ...returnDraft, reason: e.target.value })}
+              className="w-full p-3 mb-2 bg-white text-gray-900 border border-gray-300 rounded-lg outline-none font-bold text-base"
+            >
+              {REFUND_REASONS.map(reason => <option key={reason} value={reason}>{reason}</option>)}
+            </select>
+            <input
+              type="text"
+              value={returnDraft.note}
+              onChange={(e) => setReturnDraft({ ...returnDraft, note: e.target.value })}
+              placeholder="Note (optional)"
+              className="w-full p-3 mb-4 bg-white text-gray-900 border border-gray-300 rounded-lg outline-none text-base"
+            />
+
+            <label className="block text-sm font-bold text-gray-900 mb-1">Refund Via</label>
+            <div className="flex w-full gap-2 mb-6">
+              {PAYMENT_METHODS.map(method => (
+                <button
+                  key={method}
+                  onClick={() => setReturnDraft({ ...returnDraft, refundMethod: method })}
+                  className={`flex-1 py-3 rounded-xl text-base font-bold uppercase transition-colors ${returnDraft.refundMethod === method ? `${PAYMENT_METHOD_COLORS[method]} text-white shadow-md` : 'bg-gray-200 text-gray-700'}`}
+                >
+                  {method}
+                </button>
+              ))}
+            </div>
+
+            <button
+              onClick={confirmReturn}
+              className="w-full bg-red-600 text-white font-bold py-4 rounded-xl text-xl hover:bg-red-700 mb-3 shadow-md"
+            >
+              Confirm Refund
+            </button>
+            <button
+              onClick={() => setReturnDraft(null)}
+              className="w-full bg-gray-100 text-gray-700 font-bold py-4 rounded-xl text-lg hover:bg-gray-200"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Merge Backup Preview Modal */}
+      {mergePreview && (
+        <div className="absolute inset-0 bg-black bg-opacity-80 z-50 flex items-center justify-center p-4">
+          <div className="bg-white rounded-2xl w-full max-w-sm p-6 flex flex-col shadow-2xl max-h-full">
+            <h2 className="text-2xl font-black text-gray-900 mb-1 text-center">Merge Preview</h2>
+            <p className="text-sm text-gray-500 text-center mb-4 truncate">
+              {mergePreview.fileName}{mergePreview.exportDate ? ` · ${new Date(mergePreview.exportDate).toLocaleString()}` : ''}
+            </p>
+
+            <div className="overflow-y-auto space-y-4 mb-4">
+              <div className="grid grid-cols-2 gap-2 text-center">
+                <div className="bg-blue-50 border border-blue-200 rounded-lg p-3">
+                  <p className="text-2xl font-black text-blue-900">{mergePreview.summary.newSarees}</p>
+                  <p className="text-xs font-bold text-blue-800 uppercase">New Items</p>
+                </div>
+                <div className="bg-purple-50 border border-purple-200 rounded-lg p-3">
+                  <p className="text-2xl font-black text-purple-900">{mergePreview.summary.updatedSarees}</p>
+                  <p className="text-xs font-bold text-purple-800 uppercase">Status Updates</p>
+                </div>
+                <div className="bg-green-50 border border-green-200 rounded-lg p-3">
+                  <p className="text-2xl font-black text-green-900">{mergePreview.summary.newSales}</p>
+                  <p className="text-xs font-bold text-green-800 uppercase">New Sales</p>
+                </div>
+                <div className="bg-red-50 border border-red-200 rounded-lg p-3">
+                  <p className="text-2xl font-black text-red-900">{mergePreview.summary.newRefunds}</p>
+                  <p className="text-xs font-bold text-red-800 uppercase">New Refunds</p>
+                </div>
+              </div>
+              {mergePreview.summary.newExhibitions > 0 && (
+                <p className="text-sm text-gray-700 text-center font-bold">+ {mergePreview.summary.newExhibitions} exhibition(s) from the backup</p>
+              )}
+              {mergePreview.photos.length > 0 && (
+                <p className="text-sm text-gray-700 text-center font-bold">+ {mergePreview.photos.length} photo(s) from the backup</p>
+              )}
+              {mergePreview.summary.newCustomers > 0 && (
+                <p className="text-sm text-gray-700 text-center font-bold">+ {mergePreview.summary.newCustomers} customer(s) from the backup</p>
+              )}
+              {mergePreview.summary.newSettlements > 0 && (
+                <p className="text-sm text-gray-700 text-center font-bold">+ {mergePreview.summary.newSettlements} vendor settlement(s) from the backup</p>
+              )}
+
+              {mergePreview.summary.doubleSold.length > 0 && (
+                <div className="bg-red-50 border-2 border-red-400 rounded-lg p-3">
+                  <p className="font-bold text-red-800 flex items-center gap-2 mb-2"><AlertCircle size={18} /> Double-Sold Items</p>
+                  {mergePreview.summary.doubleSold.map(item => (
+                    <div key={item.code} className="mb-2 last:mb-0">
+                      <p className="font-mono font-bold text-gray-900">{item.code}</p>
+                      {item.sales.map(sale => (
+                        <p key={sale.id} className="text-xs text-gray-700">
+                          {sale.origin}: {sale.saleDate} · ₹{sale.salePrice}{sale.receiptNo ? ` · #${sale.receiptNo}` : ''}
+                        </p>
+                      ))}
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              {mergePreview.summary.statusConflicts.length > 0 && (
+                <div className="bg-gray-50 border border-gray-200 rounded-lg p-3">
+                  <p className="font-bold text-gray-800 mb-2">Status Conflicts ({mergePreview.summary.statusConflicts.length})</p>
+                  {mergePreview.summary.statusConflicts.map(conflict => (
+                    <p key={conflict.code} className="text-xs text-gray-700">
+                      <span className="font-mono font-bold">{conflict.code}</span>: here {conflict.local}, backup {conflict.incoming} → <b>{conflict.resolved}</b>
+                    </p>
+                  ))}
+                </div>
+              )}
+            </div>
+
+            <button
+              onClick={applyMergePreview}
+              className="w-full bg-teal-600 text-white font-bold py-4 rounded-xl text-xl hover:bg-teal-700 mb-3 shadow-md"
+            >
+              Apply Merge
+            </button>
+            <button
+              onClick={() => setMergePreview(null)}
+              className="w-full bg-gray-100 text-gray-700 font-bold py-4 rounded-xl text-lg hover:bg-gray-200"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Mark Settlement Paid Modal */}
+      {settlementPayment && currentSettlement && (
+        <div className="absolute inset-0 bg-black bg-opacity-80 z-50 flex items-center justify-center p-4">
+          <div className="bg-white rounded-2xl w-full max-w-sm p-6 shadow-2xl space-y-4">
+            <div className="text-center">
+              <p className="text-gray-500 font-bold uppercase text-sm">Pay {currentSettlement.shopName}</p>
+              <p className="text-4xl font-black text-gray-900">₹{currentSettlement.totals.amountPayable.toLocaleString()}</p>
+            </div>
+            <div className="flex gap-2">
+              {SETTLEMENT_PAYMENT_METHODS.map(method => (
+                <button
+                  key={method}
+                  onClick={() => setSettlementPayment({ ...settlementPayment, method })}
+                  className={`flex-1 py-3 rounded-lg font-bold text-sm border ${settlementPayment.method === method ? 'bg-amber-600 text-white border-amber-600' : 'bg-white text-gray-700 border-gray-300'}`}
+                >
+                  {method}
+                </button>
+              ))}
+            </div>
+            <input
+              type="text"
+              value={settlementPayment.note}
+              onChange={(e) => setSettlementPayment({ ...settlementPayment, note: e.target.value })}
+              placeholder="Note (UTR / cheque no.)"
+              className="w-full p-3 bg-white text-gray-900 border border-gray-300 rounded-lg outline-none text-base"
+            />
+            <div className="flex gap-3">
+              <button onClick={() => setSettlementPayment(null)} className="flex-1 bg-gray-100 text-gray-700 font-bold py-3 rounded-lg hover:bg-gray-200">Cancel</button>
+              <button onClick={markSettlementPaid} className="flex-1 bg-amber-600 text-white font-bold py-3 rounded-lg hover:bg-amber-700">Confirm Paid</button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Receipt Modal Overlay */}
+      {receiptToShow && (
+        <div className="absolute inset-0 bg-black bg-opacity-80 z-50 flex items-center justify-center p-4">
+          <div className="bg-white rounded-2xl w-full max-w-sm p-6 flex flex-col shadow-2xl max-h-full">
+            <div className="text-center mb-4">
+              <h2 className="text-2xl font-black text-gray-900">Receipt</h2>
+              <p className="text-sm text-gray-500 font-mono">#{receiptToShow.receiptNo} &middot; {receiptToShow.time}</p>
+            </div>
+
+            <div className="overflow-y-auto divide-y divide-gray-100 border-y border-gray-200 mb-4">
+              {receiptToShow.items.map((item, idx) => (
+                <div key={idx} className="py-2 flex justify-between items-start">
+                  <div>
+                    <p className="font-mono font-bold text-gray-900">{item.sareeCode}</p>
+                    <p className="text-xs text-gray-500">
+                      {item.priceTier} ₹{item.listPrice.toLocaleString()}
+                      {item.offerDiscount > 0 && ` − offer ₹${item.offerDiscount.toLocaleString()}`}
+                      {item.discountShare > 0 && ` − disc ₹${item.discountShare.toLocaleString()}`}
+                    </p>
+                  </div>
+                  <p className="font-bold text-gray-900">₹{item.salePrice.toLocaleString()}</p>
+                </div>
+              ))}
+            </div>
+
+            <div className="space-y-1 mb-5 text-base">
+              <div className="flex justify-between text-gray-600"><span>Subtotal</span><span>₹{receiptToShow.subtotal.toLocaleString()}</span></div>
+              {Object.entries(receiptToShow.offers).map(([name, amount]) => (
+                <div key={name} className="flex justify-between text-green-700"><span>{name}</span><span>−₹{amount.toLocaleString()}</span></div>
+              ))}
+              {receiptToShow.discount > 0 && (
+                <div className="flex justify-between text-gray-600"><span>Extra Discount</span><span>−₹{receiptToShow.discount.toLocaleString()}</span></div>
+              )}
+              <div className="flex justify-between font-black text-xl text-gray-900"><span>Total</span><span>₹{receiptToShow.total.toLocaleString()}</span></div>
+              {Object.entries(receiptToShow.payments).map(([method, amount]) => (
+                <div key={method} className="flex justify-between text-gray-600"><span>Paid by {method}</span><span className="font-bold">₹{amount.toLocaleString()}</span></div>
+              ))}
+            </div>
+
+            <div className="flex gap-3 mb-3">
+              <button
+                onClick={() => printReceipt(receiptToShow)}
+                className="flex-1 bg-gray-900 text-white font-bold py-4 rounded-xl text-lg hover:bg-black flex justify-center items-center gap-2 shadow-md"
+              >
+                <Printer size={20} /> Print
+              </button>
+              <button
+                onClick={() => downloadReceiptPDF(receiptToShow)}
+                className="flex-1 bg-blue-600 text-white font-bold py-4 rounded-xl text-lg hover:bg-blue-700 flex justify-center items-center gap-2 shadow-md"
+              >
+                <Download size={20} /> PDF
+              </button>
+            </div>
+            <button
+              onClick={() => setReceiptToShow(null)}
+              className="w-full bg-gray-100 text-gray-700 font-bold py-4 rounded-xl text-lg hover:bg-gray-200"
+            >
+              Done
+            </button>
+          </div>
+        </div>
+      )}
+
       {/* Database Reset Confirmation Modal Overlay */}
       {showResetModal && (
         <div className="absolute inset-0 bg-black bg-opacity-80 z-50 flex items-center justify-center p-4">
@@ -1466,7 +5873,7 @@ export default function App() {
                <AlertCircle size={56} className="text-red-600" />
             </div>
             <h2 className="text-2xl font-black text-gray-900 mb-2 text-center">Factory Reset</h2>
-            <p className="text-gray-500 mb-5 text-base text-center">Enter the security PIN to permanently delete all data.</p>
+            <p className="text-gray-500 mb-5 text-base text-center">Enter the owner PIN to permanently delete all data.</p>
             
             <input 
               type="password"
@@ -1484,8 +5891,8 @@ export default function App() {
             {!passwordError && <div className="mb-3"></div>}
             
             <button 
-              onClick={() => {
-                if (resetPassword === RESET_PASSWORD) {
+              onClick={async () => {
+                if (await verifyPin(resetPassword, pinRecords.owner)) {
                   performFactoryReset();
                 } else {
                   setPasswordError('Incorrect PIN');
@@ -1509,6 +5916,31 @@ export default function App() {
         </div>
       )}
 
+      {/* Labels Printed - Mark Available Prompt */}
+      {printedLabelIds && (
+        <div className="absolute inset-0 bg-black bg-opacity-80 z-50 flex items-center justify-center p-4">
+          <div className="bg-white rounded-2xl w-full max-w-sm p-7 flex flex-col items-center shadow-2xl">
+            <div className="bg-indigo-100 p-4 rounded-full mb-4">
+               <Printer size={40} className="text-indigo-600" />
+            </div>
+            <h2 className="text-2xl font-black text-gray-900 mb-2 text-center">Labels Printed?</h2>
+            <p className="text-gray-600 mb-5 text-base text-center">Mark the <b className="text-gray-900">{printedLabelIds.length}</b> labelled items as Available for sale?</p>
+            <button
+              onClick={markPrintedLabelsAvailable}
+              className="w-full bg-indigo-600 text-white font-bold py-4 rounded-xl text-xl hover:bg-indigo-700 mb-3 shadow-md"
+            >
+              Yes, Mark Available
+            </button>
+            <button
+              onClick={() => setPrintedLabelIds(null)}
+              className="w-full bg-gray-100 text-gray-700 font-bold py-4 rounded-xl text-lg hover:bg-gray-200"
+            >
+              Keep as New
+            </button>
+          </div>
+        </div>
+      )}
+
       {/* Delete Item Confirmation Modal */}
       {itemToDelete && (
         <div className="absolute inset-0 bg-black bg-opacity-80 z-50 flex items-center justify-center p-4">
@@ -1528,9 +5960,18 @@ export default function App() {
               </button>
               <button 
                 onClick={() => {
-                  setSarees(sarees.filter(s => s.id !== itemToDelete.id));
-                  showNotification(`Deleted ${itemToDelete.code} successfully.`);
+                  const item = itemToDelete;
                   setItemToDelete(null);
+                  requestOwnerApproval(`Delete ${item.code}`, () => {
+                    logAudit('ITEM_DELETED', {
+                      approvedBy: 'owner',
+                      target: item.code,
+                      before: { shop: item.shopName, status: item.status, cp: item.cp, mrp: item.mrp, asp60: item.asp60 }
+                    });
+                    setSarees(prev => prev.filter(s => s.id !== item.id));
+                    removePhotoIfUnused(item.photoId, sarees.filter(s => s.id !== item.id));
+                    showNotification(`Deleted ${item.code} successfully.`);
+                  });
                 }}
                 className="flex-1 bg-red-600 text-white font-bold py-4 rounded-xl text-lg hover:bg-red-700 shadow-md"
               >
@@ -1544,15 +5985,160 @@ export default function App() {
       {/* Bottom Navigation */}
       <div className="bg-white border-t border-gray-300 flex justify-between gap-1 px-3 py-3 absolute bottom-0 left-0 right-0 w-full z-40 pb-7 shadow-[0_-10px_15px_-3px_rgba(0,0,0,0.1)]">
         <NavButton icon={<LayoutDashboard />} label="Home" active={activeTab === 'dashboard'} onClick={() => handleTabChange('dashboard')} />
-        <NavButton icon={<PlusCircle />} label="Add" active={activeTab === 'add'} onClick={() => handleTabChange('add')} />
+        {/* Adding and importing stock means entering cost prices, so it stays with the owner */}
+        {isOwner && <NavButton icon={<PlusCircle />} label="Add" active={activeTab === 'add'} onClick={() => handleTabChange('add')} />}
         <NavButton icon={<ScanLine />} label="Scan" active={activeTab === 'scan'} onClick={() => handleTabChange('scan')} highlight />
         <NavButton icon={<Package />} label="Stock" active={activeTab === 'inventory'} onClick={() => handleTabChange('inventory')} />
         <NavButton icon={<ListOrdered />} label="Sales" active={activeTab === 'log'} onClick={() => handleTabChange('log')} />
       </div>
+
+      {/* Full-size Photo Viewer */}
+      {photoViewerURL && (
+        <div onClick={closePhotoViewer} className="absolute inset-0 bg-black bg-opacity-90 z-50 flex items-center justify-center p-4 cursor-pointer">
+          <img src={photoViewerURL} alt="" className="max-w-full max-h-full rounded-xl" />
+          <button onClick={closePhotoViewer} className="absolute top-6 right-6 text-white bg-black bg-opacity-50 p-2 rounded-full">
+            <X size={28} />
+          </button>
+        </div>
+      )}
+
+      {/* Owner Re-authentication Modal */}
+      {ownerPrompt && (
+        <div className="absolute inset-0 bg-black bg-opacity-80 z-[60] flex items-center justify-center p-4">
+          <div className="bg-white rounded-2xl w-full max-w-sm p-7 flex flex-col items-center shadow-2xl">
+            <div className="bg-blue-100 p-4 rounded-full mb-4">
+               <Lock size={40} className="text-blue-800" />
+            </div>
+            <h2 className="text-2xl font-black text-gray-900 mb-1 text-center">Owner PIN Required</h2>
+            <p className="text-gray-600 mb-5 text-base text-center">{ownerPrompt.title}</p>
+            <input
+              type="password"
+              inputMode="numeric"
+              pattern="[0-9]*"
+              placeholder="Owner PIN"
+              autoFocus
+              value={ownerPrompt.pin}
+              onChange={(e) => setOwnerPrompt({ ...ownerPrompt, pin: e.target.value, error: '' })}
+              onKeyDown={(e) => e.key === 'Enter' && confirmOwnerApproval()}
+              className="w-full p-4 text-center text-3xl tracking-widest bg-gray-100 text-gray-900 border-2 border-gray-300 rounded-xl mb-2 focus:border-blue-500 outline-none font-bold"
+            />
+            {ownerPrompt.error ? <p className="text-red-600 text-sm font-bold mb-3">{ownerPrompt.error}</p> : <div className="mb-3"></div>}
+            <div className="flex gap-3 w-full">
+              <button onClick={() => setOwnerPrompt(null)} className="flex-1 bg-gray-100 text-gray-700 font-bold py-4 rounded-xl text-lg hover:bg-gray-200">
+                Cancel
+              </button>
+              <button onClick={confirmOwnerApproval} className="flex-1 bg-blue-600 text-white font-bold py-4 rounded-xl text-lg hover:bg-blue-700 shadow-md">
+                Approve
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Set / Change PIN Modal */}
+      {pinChange && (
+        <div className="absolute inset-0 bg-black bg-opacity-80 z-50 flex items-center justify-center p-4">
+          <div className="bg-white rounded-2xl w-full max-w-sm p-7 flex flex-col items-center shadow-2xl">
+            <h2 className="text-2xl font-black text-gray-900 mb-5 text-center">New {ROLE_LABELS[pinChange.role]} PIN</h2>
+            {['pin', 'confirm'].map(field => (
+              <input
+                key={field}
+                type="password"
+                inputMode="numeric"
+                pattern="[0-9]*"
+                placeholder={field === 'pin' ? 'New PIN' : 'Repeat PIN'}
+                value={pinChange[field]}
+                onChange={(e) => setPinChange({ ...pinChange, [field]: e.target.value, error: '' })}
+                className="w-full p-4 text-center text-2xl tracking-widest bg-gray-100 text-gray-900 border-2 border-gray-300 rounded-xl mb-3 focus:border-blue-500 outline-none font-bold"
+              />
+            ))}
+            {pinChange.error ? <p className="text-red-600 text-sm font-bold mb-3">{pinChange.error}</p> : <div className="mb-3"></div>}
+            <div className="flex gap-3 w-full">
+              <button onClick={() => setPinChange(null)} className="flex-1 bg-gray-100 text-gray-700 font-bold py-4 rounded-xl text-lg hover:bg-gray-200">
+                Cancel
+              </button>
+              <button onClick={savePinChange} className="flex-1 bg-blue-600 text-white font-bold py-4 rounded-xl text-lg hover:bg-blue-700 shadow-md">
+                Save PIN
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Lock Screen - first run asks the owner to create a PIN */}
+      {isDBLoaded && !currentRole && (
+        <div className="absolute inset-0 bg-blue-900 z-[70] flex flex-col items-center justify-center p-8 text-white">
+          <Tag size={48} className="text-blue-300 mb-3" />
+          <h1 className="text-3xl font-bold mb-1">SareeOffline PoS</h1>
+          <p className="text-blue-200 mb-8 text-center">
+            {pinRecords.owner ? 'Enter your PIN to continue' : 'Create an owner PIN. It unlocks cost prices, profit, backups and resets.'}
+          </p>
+          <input
+            type="password"
+            inputMode="numeric"
+            pattern="[0-9]*"
+            placeholder={pinRecords.owner ? 'PIN' : 'New owner PIN'}
+            autoFocus
+            value={pinEntry.pin}
+            onChange={(e) => setPinEntry({ ...pinEntry, pin: e.target.value, error: '' })}
+            onKeyDown={(e) => e.key === 'Enter' && pinRecords.owner && unlockWithPin()}
+            className="w-full max-w-xs p-4 text-center text-3xl tracking-widest bg-white text-gray-900 rounded-xl mb-3 outline-none font-bold"
+          />
+          {!pinRecords.owner && (
+            <input
+              type="password"
+              inputMode="numeric"
+              pattern="[0-9]*"
+              placeholder="Repeat PIN"
+              value={pinEntry.confirm}
+              onChange={(e) => setPinEntry({ ...pinEntry, confirm: e.target.value, error: '' })}
+              onKeyDown={(e) => e.key === 'Enter' && createOwnerPin()}
+              className="w-full max-w-xs p-4 text-center text-3xl tracking-widest bg-white text-gray-900 rounded-xl mb-3 outline-none font-bold"
+            />
+          )}
+          <p className="text-red-300 text-sm font-bold h-5 mb-3">{pinEntry.error}</p>
+          <button
+            onClick={pinRecords.owner ? unlockWithPin : createOwnerPin}
+            className="w-full max-w-xs bg-white text-blue-900 font-black py-4 rounded-xl text-xl hover:bg-blue-50 shadow-md"
+          >
+            {pinRecords.owner ? 'Unlock' : 'Create PIN'}
+          </button>
+        </div>
+      )}
     </div>
   );
 }
 
+// Small square thumbnail for a saree photo, or a placeholder while loading / when there is none
+const PhotoThumb = ({ photoId, size = 48, onClick }) => {
+  const [loaded, setLoaded] = useState({ id: null, url: null });
+  const url = thumbURLCache.get(photoId) || (loaded.id === photoId ? loaded.url : null);
+
+  useEffect(() => {
+    if (!photoId || thumbURLCache.has(photoId)) return;
+    let cancelled = false;
+    getPhoto(photoId)
+      .then(photo => {
+        if (!photo || cancelled) return;
+        if (!thumbURLCache.has(photoId)) thumbURLCache.set(photoId, URL.createObjectURL(photo.thumb));
+        setLoaded({ id: photoId, url: thumbURLCache.get(photoId) });
+      })
+      .catch(err => console.error("Photo load error:", err));
+    return () => { cancelled = true; };
+  }, [photoId]);
+
+  if (!photoId) return null;
+  return (
+    <div
+      onClick={onClick}
+      style={{ width: size, height: size }}
+      className={`rounded-lg overflow-hidden bg-gray-200 border border-gray-300 shrink-0 flex items-center justify-center ${onClick ? 'cursor-pointer' : ''}`}
+    >
+      {url ? <img src={url} alt="" className="w-full h-full object-cover" /> : <ImageIcon size={size / 2.5} className="text-gray-400" />}
+    </div>
+  );
+};
+
 const NavButton = ({ icon, label, active, onClick, highlight }) => (
   <button 
     onClick={onClick}
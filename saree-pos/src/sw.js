@@ -0,0 +1,55 @@
+// Service worker template: the build fills in the version and the precache list (see vite.config.js)
+const CACHE_VERSION = '__BUILD_VERSION__';
+const CACHE_NAME = `saree-pos-${CACHE_VERSION}`;
+
+// Every file the build produced, so a fresh install works offline before anything has been opened
+const ASSETS_TO_CACHE = self.__PRECACHE_MANIFEST;
+
+// 1. INSTALLATION: download the whole build into the phone; an update waits until the app says to take over
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME).then((cache) => cache.addAll(ASSETS_TO_CACHE))
+  );
+});
+
+// 2. ACTIVATION: drop the caches left behind by older builds
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys().then((cacheNames) => Promise.all(
+      cacheNames
+        .filter((cacheName) => cacheName.startsWith('saree-pos-') && cacheName !== CACHE_NAME)
+        .map((cacheName) => caches.delete(cacheName))
+    )).then(() => self.clients.claim())
+  );
+});
+
+// The "update available" prompt in the app asks the waiting worker to take over
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+// 3. FETCHING: serve from this build's cache first, falling back to the network
+self.addEventListener('fetch', (event) => {
+  if (event.request.method !== 'GET') return;
+
+  // Any page load gets the cached app shell, so deep links open offline too
+  if (event.request.mode === 'navigate') {
+    event.respondWith(
+      caches.match('./index.html', { cacheName: CACHE_NAME }).then((response) => response || fetch(event.request))
+    );
+    return;
+  }
+
+  event.respondWith(
+    caches.match(event.request, { cacheName: CACHE_NAME }).then((response) => {
+      return response || fetch(event.request).then((fetchRes) => {
+        // Keep same-origin extras (e.g. icons) for next time; the build itself is already cached
+        if (fetchRes.ok && new URL(event.request.url).origin === self.location.origin) {
+          const copy = fetchRes.clone();
+          caches.open(CACHE_NAME).then((cache) => cache.put(event.request, copy));
+        }
+        return fetchRes;
+      });
+    })
+  );
+});
@@ -1,7 +1,35 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { createHash } from 'node:crypto'
+import { readFileSync, readdirSync } from 'node:fs'
+
+// Emits sw.js with this build's file list baked in. The version is a hash of
+// everything it precaches, so each build that changes anything gets a fresh cache.
+const serviceWorkerPrecache = () => ({
+  name: 'service-worker-precache',
+  apply: 'build',
+  enforce: 'post',
+  generateBundle(_, bundle) {
+    const template = readFileSync(new URL('./src/sw.js', import.meta.url), 'utf8')
+    const publicDir = new URL('./public/', import.meta.url)
+    const publicFiles = readdirSync(publicDir)
+    const files = [...Object.keys(bundle), ...publicFiles].sort()
+
+    const hash = createHash('sha256').update(template)
+    Object.values(bundle).forEach(output => hash.update(output.fileName).update(output.code ?? output.source))
+    publicFiles.forEach(file => hash.update(file).update(readFileSync(new URL(file, publicDir))))
+
+    this.emitFile({
+      type: 'asset',
+      fileName: 'sw.js',
+      source: template
+        .replace('__BUILD_VERSION__', hash.digest('hex').slice(0, 12))
+        .replace('self.__PRECACHE_MANIFEST', JSON.stringify(['./', ...files.map(file => `./${file}`)], null, 2)),
+    })
+  },
+})
 
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), serviceWorkerPrecache()],
   base: '/saree-pos/', // <-- ADD THIS LINE (use your exact GitHub repo name)
-})
\ No newline at end of file
+})